@@ -0,0 +1,125 @@
+// Accessibility helpers: live announcements, focus trapping for overlays,
+// reduced motion, text size and transition speed
+
+const FOCUSABLE_SELECTOR = [
+    'button:not([disabled])',
+    'a[href]',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Overlays currently trapping focus, topmost last
+const focusTrapStack = [];
+
+// Story text size, as a multiple of the stylesheet's
+const TEXT_SIZES = { small: 0.85, medium: 1, large: 1.2, 'x-large': 1.45 };
+
+// Fade between nodes at normal speed, as in .fade-in and .fade-out
+const FADE_TIME = 300; // ms
+
+// Fade lengths, as a multiple of FADE_TIME
+const TRANSITION_SPEEDS = { instant: 0, fast: 0.5, normal: 1, slow: 2 };
+
+function isReducedMotion() {
+    return getSettings().reducedMotion ||
+        window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+function applyReducedMotion() {
+    document.body.classList.toggle('reduced-motion', isReducedMotion());
+}
+
+// How long a fade lasts with the player's transition speed, 0 in reduced-motion mode
+function getFadeTime() {
+    if (isReducedMotion()) return 0;
+    const speed = TRANSITION_SPEEDS[getSettings().transitionSpeed];
+    return FADE_TIME * (speed === undefined ? 1 : speed);
+}
+
+// Reduced motion, text size and transition speed; call again after they change
+function applyDisplaySettings() {
+    applyReducedMotion();
+    const settings = getSettings();
+    const root = document.documentElement.style;
+    root.setProperty('--text-scale', TEXT_SIZES[settings.textSize] || 1);
+    root.setProperty('--fade-time', `${getFadeTime()}ms`);
+}
+
+// Read a message out through one of the page's live regions
+function announce(message, regionId = 'announcer') {
+    const region = document.getElementById(regionId);
+    if (!region) return;
+
+    // Clearing first makes screen readers repeat an identical message
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 50);
+}
+
+function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(element => element.getClientRects().length > 0);
+}
+
+// Keeps Tab inside container until it's removed from the page, then gives
+// focus back to whatever had it before
+function trapFocus(container) {
+    const previouslyFocused = document.activeElement;
+    focusTrapStack.push(container);
+
+    if (!container.hasAttribute('role')) container.setAttribute('role', 'dialog');
+    container.setAttribute('aria-modal', 'true');
+
+    container.addEventListener('keydown', (event) => {
+        if (event.key !== 'Tab') return;
+
+        const focusable = getFocusableElements(container);
+        if (focusable.length === 0) {
+            event.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    });
+
+    // Pull focus back if it escapes, e.g. after a click behind the overlay.
+    // Tools meant to work over any dialog (the debug overlay, the replay bar) are left alone.
+    const onFocusIn = (event) => {
+        const isTopmost = focusTrapStack[focusTrapStack.length - 1] === container;
+        if (isTopmost && !container.contains(event.target) && !event.target.closest('[data-outside-focus-trap]')) {
+            const focusable = getFocusableElements(container);
+            if (focusable.length > 0) focusable[0].focus();
+        }
+    };
+    document.addEventListener('focusin', onFocusIn);
+
+    const observer = new MutationObserver(() => {
+        if (container.isConnected) return;
+
+        observer.disconnect();
+        document.removeEventListener('focusin', onFocusIn);
+        focusTrapStack.splice(focusTrapStack.indexOf(container), 1);
+        if (previouslyFocused && previouslyFocused.isConnected) {
+            previouslyFocused.focus();
+        }
+    });
+    observer.observe(document.body, { childList: true, subtree: true });
+
+    const focusable = getFocusableElements(container);
+    if (focusable.length > 0) focusable[0].focus();
+}
+
+function hasOpenOverlay() {
+    return focusTrapStack.length > 0;
+}
@@ -0,0 +1,58 @@
+// Achievements page: every achievement the story declares, with when it was
+// earned, or what's still missing. Hidden ones stay secret until earned.
+
+function createAchievementCard(story, achievement, unlock, seen) {
+    const template = document.getElementById('achievement-card-template');
+    const card = template.content.cloneNode(true).querySelector('.achievement-card');
+    const title = card.querySelector('.ending-card-title');
+    const description = card.querySelector('.achievement-card-description');
+    const status = card.querySelector('.ending-card-date');
+
+    if (unlock) {
+        title.textContent = achievement.title;
+        description.textContent = achievement.description;
+        status.textContent = t('achievements.unlockedAt', { date: new Date(unlock.unlockedAt).toLocaleDateString(getLocale()) });
+        return card;
+    }
+
+    card.classList.add('locked');
+    title.textContent = achievement.hidden ? '???' : achievement.title;
+    description.textContent = achievement.hidden ? t('achievements.hidden') : achievement.description;
+    if (achievement.visit && !achievement.hidden) {
+        const targets = getVisitTargets(story, achievement.visit);
+        status.textContent = t('achievements.visitProgress', {
+            seen: targets.filter(key => seen[key]).length,
+            total: targets.length
+        });
+    }
+    return card;
+}
+
+function renderAchievements(story) {
+    const achievements = getAchievements(story);
+    const grid = document.getElementById('achievements-grid');
+    const unlocked = getUnlockedAchievements();
+    const seen = getVisits().nodes;
+    document.getElementById('gallery-story').textContent = story.title;
+    grid.innerHTML = '';
+
+    achievements.forEach(achievement => {
+        grid.appendChild(createAchievementCard(story, achievement, unlocked[achievement.id], seen));
+    });
+
+    const unlockedCount = achievements.filter(achievement => unlocked[achievement.id]).length;
+    document.getElementById('achievements-progress').textContent = achievements.length
+        ? t('achievements.progress', { unlocked: unlockedCount, total: achievements.length })
+        : t('achievements.none');
+}
+
+applyDisplaySettings();
+setupAppUpdates();
+loadLocale()
+    .then(loadStory)
+    .then(translateStory)
+    .then(renderAchievements)
+    .catch(error => {
+        console.error('Error loading story:', error);
+        document.getElementById('achievements-progress').textContent = t('achievements.loadFailed');
+    });
@@ -0,0 +1,108 @@
+// Achievements a story declares (see "Achievements" in stories/README.md),
+// checked as the engine reports what happens and unlocked for good on this device.
+// "visit" nodes are found with story-lint.js, so pages using this load it too.
+
+const ACHIEVEMENTS_STORAGE_KEY = 'bandersnatch-achievements';
+
+// What the run has done since it was started or loaded, for "ending" achievements
+let achievementRun = null;
+// Set while a voice command carries out a choice, see asSpokenChoice()
+let spokenChoice = false;
+
+function getAchievements(story) {
+    return Object.entries(story.achievements || {}).map(([id, achievement]) => ({ id: id, ...achievement }));
+}
+
+function getUnlockedAchievements(storyId) {
+    try {
+        return JSON.parse(localStorage.getItem(getStoryStorageKey(ACHIEVEMENTS_STORAGE_KEY, storyId))) || {};
+    } catch (e) {
+        console.log("Error reading achievements:", e);
+        return {};
+    }
+}
+
+function unlockAchievement(id) {
+    const unlocked = getUnlockedAchievements();
+    if (unlocked[id]) return false;
+
+    unlocked[id] = { unlockedAt: new Date().toISOString() };
+
+    try {
+        localStorage.setItem(getStoryStorageKey(ACHIEVEMENTS_STORAGE_KEY), JSON.stringify(unlocked));
+    } catch (e) {
+        console.log("Error saving achievement:", e);
+    }
+    return true;
+}
+
+// The nodes a "visit" achievement asks for; "all" leaves out nodes no run can reach
+function getVisitTargets(story, visit) {
+    return visit === 'all' ? [...findReachable(buildGraph(story), story.start)] : visit;
+}
+
+// Requirements of an "ending" achievement that the run that just ended has to meet
+function isEndingAchieved(requirements, endingKey, run) {
+    if (requirements.endings && !requirements.endings.includes(endingKey)) return false;
+    if (requirements.hardcore && !run.hardcore) return false;
+    if (requirements.voiceOnly && !(run.choices > 0 && run.spokenChoices === run.choices)) return false;
+    if (requirements.minTimeLeft !== undefined) {
+        // A run with the countdown off never dropped below anything, but doesn't count
+        const lowest = Object.entries(run.lowestTimeLeft);
+        if (lowest.length === 0) return false;
+        // Countdowns no longer than minTimeLeft are under it from the first second, so only longer ones count
+        if (lowest.some(([timeLimit, timeLeft]) =>
+            Number(timeLimit) > requirements.minTimeLeft && timeLeft < requirements.minTimeLeft)) return false;
+    }
+    return true;
+}
+
+function startAchievementRun(hardcore) {
+    // lowestTimeLeft is kept per countdown length: { [timeLimit]: seconds }
+    achievementRun = { hardcore: hardcore, choices: 0, spokenChoices: 0, lowestTimeLeft: {} };
+}
+
+// Runs action, which makes a choice, as one the player spoke
+function asSpokenChoice(action) {
+    spokenChoice = true;
+    try {
+        action();
+    } finally {
+        spokenChoice = false;
+    }
+}
+
+// Checks the story's achievements as the engine runs; onUnlock gets the ones
+// earned for the first time, together when one event earns several
+function trackAchievements(engine, onUnlock) {
+    const story = engine.story;
+    const achievements = getAchievements(story);
+    const unlock = (earned) => {
+        const unlocked = earned.filter(achievement => unlockAchievement(achievement.id));
+        if (unlocked.length > 0) onUnlock(unlocked);
+    };
+
+    engine.on('nodeEntered', ({ key, cause }) => {
+        if (cause === 'start' || cause === 'restore') startAchievementRun(engine.hardcore);
+
+        // The story page records the visit once any title card is over
+        const seen = { ...getVisits().nodes, [key]: true };
+        unlock(achievements
+            .filter(achievement => achievement.visit)
+            .filter(achievement => getVisitTargets(story, achievement.visit).every(nodeKey => seen[nodeKey])));
+    });
+    engine.on('choiceMade', () => {
+        achievementRun.choices++;
+        if (spokenChoice) achievementRun.spokenChoices++;
+    });
+    const recordTimeLeft = (timeLimit, timeLeft) => {
+        const lowest = achievementRun.lowestTimeLeft[timeLimit];
+        achievementRun.lowestTimeLeft[timeLimit] = lowest === undefined ? timeLeft : Math.min(lowest, timeLeft);
+    };
+    engine.on('timerTick', ({ timeLeft, timeLimit }) => recordTimeLeft(timeLimit, timeLeft));
+    engine.on('timeUp', () => recordTimeLeft(engine.timeLimit, 0));
+    engine.on('endingReached', ({ key }) => {
+        unlock(achievements
+            .filter(achievement => achievement.ending && isEndingAchieved(achievement.ending, key, achievementRun)));
+    });
+}
@@ -0,0 +1,28 @@
+// Chapters the player has reached (shared by story.html and index.html)
+
+const CHAPTERS_STORAGE_KEY = 'bandersnatch-chapters';
+
+function getReachedChapters(storyId) {
+    try {
+        return JSON.parse(localStorage.getItem(getStoryStorageKey(CHAPTERS_STORAGE_KEY, storyId))) || {};
+    } catch (e) {
+        console.log("Error reading chapters:", e);
+        return {};
+    }
+}
+
+// Keeps the first run's snapshot (node, state, path) so chapter select
+// replays the chapter from where it was first entered
+function markChapterReached(chapterId, snapshot) {
+    const reached = getReachedChapters();
+    if (reached[chapterId]) return false;
+
+    reached[chapterId] = { ...snapshot, reachedAt: new Date().toISOString() };
+
+    try {
+        localStorage.setItem(getStoryStorageKey(CHAPTERS_STORAGE_KEY), JSON.stringify(reached));
+    } catch (e) {
+        console.log("Error saving chapter:", e);
+    }
+    return true;
+}
@@ -0,0 +1,163 @@
+// Debug overlay for testing stories: the current node, where it leads (including
+// choices the player can't see), the story state, and shortcuts to any node,
+// timer control, simulated voice input and the game's other screens.
+// Open it with story.html?debug or Ctrl+Alt+D; debug runs save nothing.
+// Developer-facing, so it's English only like the editor.
+
+const DEBUG_SKIP_SECONDS = 10;
+
+// Every way out of the node and what became of it: 'shown', 'hidden' when its
+// condition doesn't hold, or 'missing' when it leads to a node that doesn't exist
+function getDebugEdges(node, state) {
+    const edges = node.input
+        ? [
+            ...Object.entries(node.input.answers).map(([answer, value]) => ({ label: `"${answer}"`, value: value })),
+            { label: 'wrong', value: node.input.wrong }
+        ]
+        : Object.entries(node.choices || {}).map(([label, value]) => ({ label: label, value: value }));
+
+    return edges.map(({ label, value }) => {
+        const choice = normalizeChoice(value);
+        let status = 'shown';
+        if (!storyNodes[choice.next]) {
+            status = 'missing';
+        } else if (!evaluateCondition(choice.if, state)) {
+            status = 'hidden';
+        }
+        return { label: label, target: choice.next, condition: choice.if, status: status };
+    });
+}
+
+// Ctrl+Alt+D shows or hides the overlay; outside debug mode the run is
+// autosaved and the page reloads with it on
+function setupDebugShortcut() {
+    document.addEventListener('keydown', (event) => {
+        if (!(event.ctrlKey && event.altKey && event.code === 'KeyD') || replayMode) return;
+        event.preventDefault();
+
+        const overlay = document.querySelector('.debug-overlay');
+        if (overlay) {
+            overlay.hidden = !overlay.hidden;
+            return;
+        }
+        const url = new URL(engine.node ? prepareReload() : window.location.href, window.location.href);
+        url.searchParams.set('debug', '');
+        window.location.href = url.href;
+    });
+}
+
+function showDebugOverlay() {
+    const template = document.getElementById('debug-overlay-template');
+    const overlay = template.content.cloneNode(true).querySelector('.debug-overlay');
+
+    const jumpSelect = overlay.querySelector('.debug-jump-select');
+    Object.keys(storyNodes).sort().forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = storyNodes[key].ending ? `${key} (ending)` : key;
+        jumpSelect.appendChild(option);
+    });
+    overlay.querySelector('.debug-jump-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        debugJumpTo(jumpSelect.value);
+    });
+
+    const freezeBtn = overlay.querySelector('.debug-freeze-btn');
+    freezeBtn.addEventListener('click', () => {
+        engine.freezeTimer(!engine.timerFrozen);
+        if (!engine.timerFrozen && !isPaused && !engine.node.ending) engine.startTimer();
+        updateDebugOverlay();
+    });
+    overlay.querySelector('.debug-skip-btn').addEventListener('click', () => debugSkipTime(DEBUG_SKIP_SECONDS));
+    overlay.querySelector('.debug-run-out-btn').addEventListener('click', () => debugSkipTime(engine.timeLeft));
+
+    const voiceInput = overlay.querySelector('.debug-voice-input');
+    overlay.querySelector('.debug-voice-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        if (!voiceInput.value.trim()) return;
+        handleVoiceCommand([voiceInput.value]);
+        voiceInput.value = '';
+    });
+
+    // The countdown stops so it can't time out behind the simulated screen
+    overlay.querySelector('.debug-time-up-screen-btn').addEventListener('click', () => {
+        engine.stopTimer();
+        removeTimerDisplay();
+        showTimeUpScreen();
+    });
+    overlay.querySelector('.debug-ending-screen-btn').addEventListener('click', () => {
+        engine.stopTimer();
+        removeTimerDisplay();
+        showEndingScreen(engine.text);
+    });
+    overlay.querySelector('.debug-error-screen-btn').addEventListener('click', () => {
+        handleError(new StoryValidationError(['Simulated from the debug overlay']));
+    });
+
+    document.body.appendChild(overlay);
+    engine.on('nodeEntered', updateDebugOverlay);
+    engine.on('timerTick', updateDebugOverlay);
+    engine.on('timeUp', updateDebugOverlay);
+}
+
+function updateDebugOverlay() {
+    const overlay = document.querySelector('.debug-overlay');
+    if (!overlay || !engine.node) return;
+    const node = engine.node;
+
+    overlay.querySelector('.debug-node-key').textContent = engine.nodeKey;
+    overlay.querySelector('.debug-chapter').textContent = node.chapter;
+    overlay.querySelector('.debug-timer').textContent = !engine.timed
+        ? 'off'
+        : `${engine.timeLeft} / ${engine.timeLimit} s${engine.timerFrozen ? ' (frozen)' : ''}`;
+    overlay.querySelector('.debug-freeze-btn').textContent = engine.timerFrozen ? 'Unfreeze' : 'Freeze';
+    overlay.querySelector('.debug-jump-select').value = engine.nodeKey;
+    overlay.querySelector('.debug-state').textContent = JSON.stringify(engine.state, null, 2);
+
+    const edgeList = overlay.querySelector('.debug-edges');
+    edgeList.innerHTML = '';
+    const edges = node.ending ? [] : getDebugEdges(node, engine.state);
+    edges.forEach(({ label, target, condition, status }) => {
+        const item = document.createElement('li');
+        item.className = `debug-edge ${status}`;
+        item.textContent = `${label} → ${target}`;
+        if (status !== 'shown') {
+            const note = document.createElement('span');
+            note.className = 'debug-edge-note';
+            note.textContent = status === 'missing' ? 'missing node' : `hidden, if ${JSON.stringify(condition)}`;
+            item.appendChild(note);
+        }
+        if (status !== 'missing') {
+            item.tabIndex = 0;
+            item.title = `Jump to ${target}`;
+            item.addEventListener('click', () => debugJumpTo(target));
+            item.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') debugJumpTo(target);
+            });
+        }
+        edgeList.appendChild(item);
+    });
+    if (edges.length === 0) {
+        const item = document.createElement('li');
+        item.className = 'debug-edge';
+        item.textContent = node.ending ? `ending #${node.ending.number}` : 'none';
+        edgeList.appendChild(item);
+    }
+}
+
+// Goes straight to the node keeping the run's state and history, hardcore or not
+function debugJumpTo(key) {
+    closePausePopup();
+    document.querySelectorAll('.ending-screen, .time-up-screen, .error-screen, .history-panel, .flowchart-screen')
+        .forEach(screen => screen.remove());
+    engine.restore({ ...engine.getSnapshot(), nodeKey: key }, 'jump');
+}
+
+// Runs the countdown forward; reaching zero times out just like waiting would
+function debugSkipTime(seconds) {
+    if (!engine.timed) return;
+    for (let i = 0; i < seconds && engine.timeLeft > 0; i++) {
+        engine.tick();
+    }
+    updateDebugOverlay();
+}
@@ -0,0 +1,765 @@
+// Story editor: create, link and delete nodes with live validation and lint
+// warnings. Every change is kept as a draft in localStorage, which is also
+// what "Preview in Player" plays (story.html?preview=<node>).
+
+const NODE_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+const NEW_NODE_OPTION = '__new__';
+
+let editorStory = null;
+let storySchema = null;
+let selectedNodeKey = null;
+let currentProblems = []; // [{ level, node, message }] for the story as it is now
+
+function createEmptyStory() {
+    return {
+        id: 'new-story',
+        title: 'New Story',
+        version: 1,
+        start: 'start',
+        chapters: {
+            'chapter-1': { title: 'Chapter 1' }
+        },
+        nodes: {
+            start: { chapter: 'chapter-1', text: '', choices: {} }
+        }
+    };
+}
+
+// Schema problems mention the node as story.nodes.<key>
+function getProblemNode(message) {
+    const match = message.match(/^story\.nodes\.([A-Za-z0-9_-]+)/);
+    return match && editorStory.nodes[match[1]] ? match[1] : null;
+}
+
+function getProblems() {
+    const problems = validateStory(editorStory, storySchema)
+        .map(message => ({ level: 'error', node: getProblemNode(message), message: message }));
+
+    // A half-written story can trip up the graph checks; the schema problems say why
+    try {
+        problems.push(...lintStory(editorStory));
+    } catch (e) {
+        console.log('Error linting story:', e);
+    }
+    return problems;
+}
+
+// Saves the draft and refreshes everything that depends on the whole story
+function storyChanged() {
+    writeDraftStory(editorStory);
+    currentProblems = getProblems();
+    renderNodeList();
+    renderWarnings();
+}
+
+function setStory(story) {
+    editorStory = story;
+    selectedNodeKey = null;
+    storyChanged();
+    renderStoryPanel();
+    renderNodePanel();
+}
+
+// Returns a copy of object with one key renamed, keeping the order of the rest
+function renameKey(object, oldKey, newKey) {
+    const renamed = {};
+    Object.entries(object).forEach(([key, value]) => {
+        renamed[key === oldKey ? newKey : key] = value;
+    });
+    return renamed;
+}
+
+function setChoiceTarget(value, target) {
+    return typeof value === 'string' ? target : { ...value, next: target };
+}
+
+// Calls update(value) for every choice, answer and wrong route in the story,
+// replacing the value with whatever it returns
+function updateAllLinks(update) {
+    Object.values(editorStory.nodes).forEach(node => {
+        if (node.choices) {
+            Object.keys(node.choices).forEach(label => {
+                node.choices[label] = update(node.choices[label]);
+            });
+        }
+        if (node.input) {
+            Object.keys(node.input.answers).forEach(answer => {
+                node.input.answers[answer] = update(node.input.answers[answer]);
+            });
+            node.input.wrong = update(node.input.wrong);
+        }
+    });
+}
+
+// Calls update(keys) for every list of node keys in the achievements: the nodes
+// to visit ("all" needs no updating) and the endings to reach, replacing the
+// list with whatever it returns
+function updateAchievementNodes(update) {
+    Object.values(editorStory.achievements || {}).forEach(achievement => {
+        if (Array.isArray(achievement.visit)) achievement.visit = update(achievement.visit);
+        if (achievement.ending && achievement.ending.endings) {
+            achievement.ending.endings = update(achievement.ending.endings);
+        }
+    });
+}
+
+function countLinksTo(nodeKey) {
+    let count = 0;
+    updateAllLinks(value => {
+        if (getChoiceTarget(value) === nodeKey) count++;
+        return value;
+    });
+    return count;
+}
+
+// Asks for a new node key until it's valid and unused, returns null if cancelled
+function promptNodeKey(message, suggestion = '') {
+    let key = prompt(message, suggestion);
+    while (key !== null) {
+        key = key.trim();
+        if (!NODE_KEY_PATTERN.test(key)) {
+            key = prompt('Keys can only use letters, numbers, "-" and "_". Try another:', key);
+        } else if (editorStory.nodes[key]) {
+            key = prompt(`There is already a node called "${key}". Try another:`, key);
+        } else {
+            return key;
+        }
+    }
+    return null;
+}
+
+function createNode(key, chapterId) {
+    editorStory.nodes[key] = { chapter: chapterId, text: '', choices: {} };
+}
+
+function selectNode(nodeKey) {
+    selectedNodeKey = editorStory.nodes[nodeKey] ? nodeKey : null;
+    renderNodeList();
+    renderNodePanel();
+    if (selectedNodeKey) {
+        document.getElementById('node-panel').scrollIntoView({ block: 'start' });
+    }
+}
+
+function addNode() {
+    const key = promptNodeKey('Key for the new node:');
+    if (!key) return;
+
+    const selected = editorStory.nodes[selectedNodeKey];
+    createNode(key, selected ? selected.chapter : Object.keys(editorStory.chapters)[0]);
+    storyChanged();
+    renderStoryPanel();
+    selectNode(key);
+}
+
+function renameNode(oldKey, newKey) {
+    editorStory.nodes = renameKey(editorStory.nodes, oldKey, newKey);
+    updateAllLinks(value => getChoiceTarget(value) === oldKey ? setChoiceTarget(value, newKey) : value);
+    if (editorStory.start === oldKey) editorStory.start = newKey;
+    updateAchievementNodes(keys => keys.map(key => key === oldKey ? newKey : key));
+    selectedNodeKey = newKey;
+}
+
+function deleteNode(nodeKey) {
+    if (nodeKey === editorStory.start) {
+        alert('This is the start node. Choose another start node first.');
+        return;
+    }
+
+    const links = countLinksTo(nodeKey);
+    const warning = links > 0
+        ? `\n\n${links} choice${links === 1 ? '' : 's'} lead${links === 1 ? 's' : ''} here and will become broken links.`
+        : '';
+    if (!confirm(`Delete node "${nodeKey}"?${warning}`)) return;
+
+    delete editorStory.nodes[nodeKey];
+    updateAchievementNodes(keys => keys.filter(key => key !== nodeKey));
+    selectedNodeKey = null;
+    storyChanged();
+    renderStoryPanel();
+    renderNodePanel();
+}
+
+function getOutcome(node) {
+    if (node.input) return 'input';
+    if (node.ending) return 'ending';
+    return 'choices';
+}
+
+function getNextEndingNumber() {
+    const numbers = Object.values(editorStory.nodes)
+        .filter(node => node.ending)
+        .map(node => node.ending.number);
+    return numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+}
+
+// Switches what the node does, dropping the settings that only made sense for the old outcome
+function setOutcome(node, outcome) {
+    const hasLinks = (node.choices && Object.keys(node.choices).length > 0) ||
+        (node.input && Object.keys(node.input.answers).length > 0);
+    if (hasLinks && !confirm('Switching will remove this node\'s choices or answers. Continue?')) {
+        return false;
+    }
+
+    delete node.choices;
+    delete node.input;
+    delete node.ending;
+    delete node.defaultChoice;
+
+    if (outcome === 'choices') {
+        node.choices = {};
+    } else if (outcome === 'input') {
+        node.input = { type: 'keypad', answers: {}, wrong: '' };
+    } else {
+        delete node.timeLimit;
+        node.ending = { number: getNextEndingNumber(), title: '' };
+    }
+    return true;
+}
+
+function getUniqueLabel(object, base) {
+    let number = Object.keys(object).length + 1;
+    while (`${base} ${number}` in object) number++;
+    return `${base} ${number}`;
+}
+
+function addOption(select, value, text) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+}
+
+// Fills a select with every node as a link target. "New node…" creates the
+// target on the spot, in the same chapter as the node being edited.
+function setupTargetSelect(select, target, onChange) {
+    select.innerHTML = '';
+    if (!editorStory.nodes[target]) {
+        addOption(select, target, target ? `⚠ ${target} (missing)` : '(choose a node)');
+    }
+    Object.keys(editorStory.nodes).forEach(key => addOption(select, key, key));
+    addOption(select, NEW_NODE_OPTION, '+ New node…');
+    select.value = target;
+
+    select.addEventListener('change', () => {
+        let newTarget = select.value;
+        if (newTarget === NEW_NODE_OPTION) {
+            newTarget = promptNodeKey('Key for the new node:');
+            if (!newTarget) {
+                select.value = target;
+                return;
+            }
+            createNode(newTarget, editorStory.nodes[selectedNodeKey].chapter);
+        }
+        onChange(newTarget);
+        storyChanged();
+        renderStoryPanel();
+        renderNodePanel();
+    });
+}
+
+// One row per choice or answer: label, target, jump to target, delete.
+// getLinks/setLinks read and replace the object being edited (choices or answers).
+function renderLinkRows(list, getLinks, setLinks, placeholder, onRename) {
+    const template = document.getElementById('link-row-template');
+    list.innerHTML = '';
+
+    Object.entries(getLinks()).forEach(([label, value]) => {
+        const row = template.content.cloneNode(true).querySelector('.editor-row');
+        const labelInput = row.querySelector('.row-label');
+        labelInput.value = label;
+        labelInput.placeholder = placeholder;
+        labelInput.setAttribute('aria-label', placeholder);
+
+        labelInput.addEventListener('change', () => {
+            const newLabel = labelInput.value.trim();
+            if (!newLabel || (newLabel !== label && newLabel in getLinks())) {
+                alert(newLabel ? `"${newLabel}" is already used on this node` : 'Labels can\'t be empty');
+                labelInput.value = label;
+                return;
+            }
+            setLinks(renameKey(getLinks(), label, newLabel));
+            if (onRename) onRename(label, newLabel);
+            storyChanged();
+            renderNodePanel();
+        });
+
+        const target = getChoiceTarget(value);
+        setupTargetSelect(row.querySelector('.row-target'), target, newTarget => {
+            getLinks()[label] = setChoiceTarget(getLinks()[label], newTarget);
+        });
+
+        const goBtn = row.querySelector('.row-go-btn');
+        goBtn.disabled = !editorStory.nodes[target];
+        goBtn.addEventListener('click', () => selectNode(target));
+
+        // Conditions and effects are kept as they are, only the target is edited here
+        if (typeof value === 'object') {
+            const details = ['if', 'set', 'add'].filter(field => value[field]);
+            if (details.length > 0) {
+                const badge = row.querySelector('.row-badge');
+                badge.textContent = details.join(' · ');
+                badge.title = JSON.stringify({ if: value.if, set: value.set, add: value.add });
+                badge.hidden = false;
+            }
+        }
+
+        row.querySelector('.row-delete-btn').addEventListener('click', () => {
+            const links = getLinks();
+            delete links[label];
+            if (onRename) onRename(label, null);
+            storyChanged();
+            renderNodePanel();
+        });
+
+        list.appendChild(row);
+    });
+}
+
+function renderStoryPanel() {
+    document.getElementById('story-title-input').value = editorStory.title || '';
+    document.getElementById('story-id-input').value = editorStory.id || '';
+    document.getElementById('story-description-input').value = editorStory.description || '';
+    document.getElementById('story-cover-input').value = editorStory.cover || '';
+
+    const startSelect = document.getElementById('story-start-select');
+    startSelect.innerHTML = '';
+    if (!editorStory.nodes[editorStory.start]) {
+        addOption(startSelect, editorStory.start, `⚠ ${editorStory.start} (missing)`);
+    }
+    Object.keys(editorStory.nodes).forEach(key => addOption(startSelect, key, key));
+    startSelect.value = editorStory.start;
+
+    const chapterRows = document.getElementById('chapter-rows');
+    const template = document.getElementById('chapter-row-template');
+    chapterRows.innerHTML = '';
+    Object.entries(editorStory.chapters).forEach(([chapterId, chapter]) => {
+        const row = template.content.cloneNode(true).querySelector('.editor-row');
+        row.querySelector('.row-id').textContent = chapterId;
+
+        const titleInput = row.querySelector('.chapter-title-input');
+        titleInput.value = chapter.title;
+        titleInput.addEventListener('input', () => {
+            chapter.title = titleInput.value;
+            storyChanged();
+        });
+
+        const dateInput = row.querySelector('.chapter-date-input');
+        dateInput.value = chapter.date || '';
+        dateInput.addEventListener('input', () => {
+            if (dateInput.value) {
+                chapter.date = dateInput.value;
+            } else {
+                delete chapter.date;
+            }
+            storyChanged();
+        });
+
+        chapterRows.appendChild(row);
+    });
+}
+
+function addChapter() {
+    let chapterId = prompt('Id for the new chapter, e.g. "fourth-therapy":');
+    if (chapterId === null) return;
+    chapterId = chapterId.trim();
+    if (!NODE_KEY_PATTERN.test(chapterId) || editorStory.chapters[chapterId]) {
+        alert(`"${chapterId}" can't be used as a chapter id`);
+        return;
+    }
+
+    editorStory.chapters[chapterId] = { title: chapterId };
+    storyChanged();
+    renderStoryPanel();
+    renderNodePanel();
+}
+
+function renderNodeList() {
+    const list = document.getElementById('node-list');
+    const template = document.getElementById('node-item-template');
+    const filter = document.getElementById('node-filter').value.trim().toLowerCase();
+    list.innerHTML = '';
+
+    Object.entries(editorStory.nodes).forEach(([key, node]) => {
+        const matches = key.toLowerCase().includes(filter) ||
+            (node.text || '').toLowerCase().includes(filter);
+        if (filter && !matches) return;
+
+        const item = template.content.cloneNode(true).querySelector('li');
+        const button = item.querySelector('.node-item');
+        button.querySelector('.node-item-key').textContent = key;
+        button.classList.toggle('selected', key === selectedNodeKey);
+        button.addEventListener('click', () => selectNode(key));
+
+        const badges = [];
+        if (key === editorStory.start) badges.push('start');
+        if (node.ending) badges.push(`ending #${node.ending.number}`);
+        const nodeProblems = currentProblems.filter(problem => problem.node === key);
+        if (nodeProblems.some(problem => problem.level === 'error')) {
+            button.classList.add('has-errors');
+        } else if (nodeProblems.length > 0) {
+            button.classList.add('has-warnings');
+        }
+        if (nodeProblems.length > 0) badges.push(`⚠ ${nodeProblems.length}`);
+        button.querySelector('.node-item-badges').textContent = badges.join(' · ');
+
+        list.appendChild(item);
+    });
+}
+
+function renderWarnings() {
+    const list = document.getElementById('warning-list');
+    const template = document.getElementById('warning-item-template');
+    list.innerHTML = '';
+
+    const errorCount = currentProblems.filter(problem => problem.level === 'error').length;
+    const warningCount = currentProblems.length - errorCount;
+    document.getElementById('warning-summary').textContent = currentProblems.length === 0
+        ? 'No problems'
+        : `${errorCount} error${errorCount === 1 ? '' : 's'}, ${warningCount} warning${warningCount === 1 ? '' : 's'}`;
+
+    currentProblems.forEach(({ level, node, message }) => {
+        const item = template.content.cloneNode(true).querySelector('.warning-item');
+        item.classList.add(level);
+        item.querySelector('.warning-level').textContent = level;
+        item.querySelector('.warning-message').textContent = message;
+
+        const nodeBtn = item.querySelector('.warning-node');
+        if (node) {
+            nodeBtn.textContent = node;
+            nodeBtn.addEventListener('click', () => selectNode(node));
+        } else {
+            nodeBtn.remove();
+        }
+        list.appendChild(item);
+    });
+}
+
+function renderNodePanel() {
+    const panel = document.getElementById('node-panel');
+    const node = editorStory.nodes[selectedNodeKey];
+    panel.hidden = !node;
+    if (!node) return;
+
+    const outcome = getOutcome(node);
+    document.getElementById('node-title').textContent = selectedNodeKey;
+    document.getElementById('node-key-input').value = selectedNodeKey;
+    document.getElementById('node-text-input').value = node.text;
+
+    const chapterSelect = document.getElementById('node-chapter-select');
+    chapterSelect.innerHTML = '';
+    if (!editorStory.chapters[node.chapter]) {
+        addOption(chapterSelect, node.chapter, `⚠ ${node.chapter} (missing)`);
+    }
+    Object.entries(editorStory.chapters).forEach(([chapterId, chapter]) => {
+        addOption(chapterSelect, chapterId, chapter.title);
+    });
+    chapterSelect.value = node.chapter;
+
+    const voices = Object.keys(editorStory.voices || {});
+    const voiceSelect = document.getElementById('node-voice-select');
+    document.getElementById('node-voice-field').hidden = voices.length === 0;
+    voiceSelect.innerHTML = '';
+    addOption(voiceSelect, '', 'Narrator');
+    voices.forEach(voice => addOption(voiceSelect, voice, voice));
+    voiceSelect.value = node.voice || '';
+
+    const variantsNote = document.getElementById('node-variants-note');
+    const variantCount = (node.variants || []).length;
+    variantsNote.hidden = variantCount === 0;
+    variantsNote.textContent = `This node has ${variantCount} text variant${variantCount === 1 ? '' : 's'} ` +
+        'that replace the text when their condition holds. Edit them in the story file.';
+
+    document.querySelectorAll('input[name="node-outcome"]').forEach(radio => {
+        radio.checked = radio.value === outcome;
+    });
+    document.getElementById('choices-section').hidden = outcome !== 'choices';
+    document.getElementById('input-section').hidden = outcome !== 'input';
+    document.getElementById('ending-section').hidden = outcome !== 'ending';
+    document.getElementById('timing-section').hidden = outcome === 'ending';
+    document.getElementById('time-limit-input').value = node.timeLimit || '';
+
+    if (outcome === 'choices') renderChoicesSection(node);
+    if (outcome === 'input') renderInputSection(node);
+    if (outcome === 'ending') renderEndingSection(node);
+}
+
+function renderChoicesSection(node) {
+    renderLinkRows(
+        document.getElementById('choice-rows'),
+        () => node.choices,
+        links => { node.choices = links; },
+        'Button label',
+        (oldLabel, newLabel) => {
+            if (node.defaultChoice !== oldLabel) return;
+            if (newLabel) {
+                node.defaultChoice = newLabel;
+            } else {
+                delete node.defaultChoice;
+            }
+        }
+    );
+
+    const defaultSelect = document.getElementById('default-choice-select');
+    defaultSelect.innerHTML = '';
+    addOption(defaultSelect, '', 'The run ends (Time\'s Up)');
+    Object.keys(node.choices).forEach(label => addOption(defaultSelect, label, `Take "${label}"`));
+    defaultSelect.value = node.defaultChoice || '';
+}
+
+function renderInputSection(node) {
+    const input = node.input;
+    document.getElementById('input-type-select').value = input.type;
+    document.getElementById('input-attempts-input').value = input.attempts || '';
+    document.getElementById('input-prompt-input').value = input.prompt || '';
+
+    renderLinkRows(
+        document.getElementById('answer-rows'),
+        () => input.answers,
+        links => { input.answers = links; },
+        input.type === 'keypad' ? 'Code' : 'Password'
+    );
+
+    resetSelect('input-wrong-select');
+    setupTargetSelect(document.getElementById('input-wrong-select'), getChoiceTarget(input.wrong), target => {
+        input.wrong = setChoiceTarget(input.wrong, target);
+    });
+}
+
+function renderEndingSection(node) {
+    document.getElementById('ending-number-input').value = node.ending.number;
+    document.getElementById('ending-title-input').value = node.ending.title;
+    document.getElementById('ending-hint-input').value = node.ending.hint || '';
+}
+
+// Replaces a select with a fresh copy so listeners from the last render don't pile up
+function resetSelect(id) {
+    const select = document.getElementById(id);
+    const fresh = select.cloneNode(false);
+    select.replaceWith(fresh);
+}
+
+function getSelectedNode() {
+    return editorStory.nodes[selectedNodeKey];
+}
+
+// Number inputs: blank removes the field, anything else is stored as an integer
+function setOptionalNumber(object, field, value) {
+    const number = parseInt(value, 10);
+    if (Number.isNaN(number)) {
+        delete object[field];
+    } else {
+        object[field] = number;
+    }
+}
+
+function exportStory() {
+    const errorCount = currentProblems.filter(problem => problem.level === 'error').length;
+    if (errorCount > 0 && !confirm(`The story has ${errorCount} error${errorCount === 1 ? '' : 's'}. Export anyway?`)) {
+        return;
+    }
+
+    const blob = new Blob([`${JSON.stringify(editorStory, null, 4)}\n`], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${editorStory.id || 'story'}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+async function importStory(file) {
+    try {
+        const imported = JSON.parse(await file.text());
+        if (!imported || typeof imported.nodes !== 'object' || typeof imported.chapters !== 'object') {
+            throw new Error('it has no chapters or nodes');
+        }
+        setStory(imported);
+    } catch (e) {
+        alert(`Could not import ${file.name}: ${e.message}`);
+    }
+}
+
+async function reloadShippedStory() {
+    try {
+        setStory(await fetchJson(DEFAULT_STORY_URL));
+    } catch (e) {
+        alert(`Could not load ${DEFAULT_STORY_URL}: ${e.message}`);
+    }
+}
+
+function setupEditorControls() {
+    document.getElementById('new-story-btn').addEventListener('click', () => {
+        if (confirm('Start a new story? The story in the editor will be replaced.')) {
+            setStory(createEmptyStory());
+        }
+    });
+    document.getElementById('reload-btn').addEventListener('click', () => {
+        if (confirm('Reload the shipped story? Your edits will be lost unless you export them first.')) {
+            reloadShippedStory();
+        }
+    });
+    document.getElementById('export-btn').addEventListener('click', exportStory);
+
+    const importInput = document.getElementById('import-input');
+    importInput.addEventListener('change', () => {
+        if (importInput.files[0]) importStory(importInput.files[0]);
+        importInput.value = '';
+    });
+
+    document.getElementById('node-filter').addEventListener('input', renderNodeList);
+    document.getElementById('add-node-btn').addEventListener('click', addNode);
+    document.getElementById('add-chapter-btn').addEventListener('click', addChapter);
+
+    document.getElementById('story-title-input').addEventListener('input', (event) => {
+        editorStory.title = event.target.value;
+        storyChanged();
+    });
+    document.getElementById('story-id-input').addEventListener('input', (event) => {
+        editorStory.id = event.target.value;
+        storyChanged();
+    });
+    ['description', 'cover'].forEach(field => {
+        document.getElementById(`story-${field}-input`).addEventListener('input', (event) => {
+            if (event.target.value) {
+                editorStory[field] = event.target.value;
+            } else {
+                delete editorStory[field];
+            }
+            storyChanged();
+        });
+    });
+    document.getElementById('story-start-select').addEventListener('change', (event) => {
+        editorStory.start = event.target.value;
+        storyChanged();
+        renderStoryPanel();
+    });
+
+    document.getElementById('node-key-input').addEventListener('change', (event) => {
+        const newKey = event.target.value.trim();
+        if (newKey === selectedNodeKey) return;
+        if (!NODE_KEY_PATTERN.test(newKey) || editorStory.nodes[newKey]) {
+            alert(`"${newKey}" can't be used: keys must be unique and only use letters, numbers, "-" and "_"`);
+            event.target.value = selectedNodeKey;
+            return;
+        }
+        renameNode(selectedNodeKey, newKey);
+        storyChanged();
+        renderStoryPanel();
+        renderNodePanel();
+    });
+
+    document.getElementById('node-text-input').addEventListener('input', (event) => {
+        getSelectedNode().text = event.target.value;
+        storyChanged();
+    });
+    document.getElementById('node-chapter-select').addEventListener('change', (event) => {
+        getSelectedNode().chapter = event.target.value;
+        storyChanged();
+    });
+    document.getElementById('node-voice-select').addEventListener('change', (event) => {
+        const node = getSelectedNode();
+        if (event.target.value) {
+            node.voice = event.target.value;
+        } else {
+            delete node.voice;
+        }
+        storyChanged();
+    });
+
+    document.querySelectorAll('input[name="node-outcome"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            if (radio.checked) setOutcome(getSelectedNode(), radio.value);
+            storyChanged();
+            renderNodePanel();
+        });
+    });
+
+    document.getElementById('add-choice-btn').addEventListener('click', () => {
+        const node = getSelectedNode();
+        node.choices[getUniqueLabel(node.choices, 'Choice')] = '';
+        storyChanged();
+        renderNodePanel();
+    });
+    document.getElementById('default-choice-select').addEventListener('change', (event) => {
+        const node = getSelectedNode();
+        if (event.target.value) {
+            node.defaultChoice = event.target.value;
+        } else {
+            delete node.defaultChoice;
+        }
+        storyChanged();
+    });
+    document.getElementById('time-limit-input').addEventListener('input', (event) => {
+        setOptionalNumber(getSelectedNode(), 'timeLimit', event.target.value);
+        storyChanged();
+    });
+
+    document.getElementById('input-type-select').addEventListener('change', (event) => {
+        getSelectedNode().input.type = event.target.value;
+        storyChanged();
+        renderNodePanel();
+    });
+    document.getElementById('input-attempts-input').addEventListener('input', (event) => {
+        setOptionalNumber(getSelectedNode().input, 'attempts', event.target.value);
+        storyChanged();
+    });
+    document.getElementById('input-prompt-input').addEventListener('input', (event) => {
+        const input = getSelectedNode().input;
+        if (event.target.value) {
+            input.prompt = event.target.value;
+        } else {
+            delete input.prompt;
+        }
+        storyChanged();
+    });
+    document.getElementById('add-answer-btn').addEventListener('click', () => {
+        const input = getSelectedNode().input;
+        const answer = prompt(input.type === 'keypad' ? 'Code to accept:' : 'Password to accept:');
+        if (!answer || !answer.trim()) return;
+        if (answer.trim() in input.answers) {
+            alert(`"${answer.trim()}" is already accepted`);
+            return;
+        }
+        input.answers[answer.trim()] = '';
+        storyChanged();
+        renderNodePanel();
+    });
+
+    document.getElementById('ending-number-input').addEventListener('input', (event) => {
+        setOptionalNumber(getSelectedNode().ending, 'number', event.target.value);
+        storyChanged();
+    });
+    document.getElementById('ending-title-input').addEventListener('input', (event) => {
+        getSelectedNode().ending.title = event.target.value;
+        storyChanged();
+    });
+    document.getElementById('ending-hint-input').addEventListener('input', (event) => {
+        const ending = getSelectedNode().ending;
+        if (event.target.value) {
+            ending.hint = event.target.value;
+        } else {
+            delete ending.hint;
+        }
+        storyChanged();
+    });
+
+    document.getElementById('preview-node-btn').addEventListener('click', () => {
+        writeDraftStory(editorStory);
+        window.open(getStoryLink('story.html', { preview: selectedNodeKey }, editorStory.id), '_blank');
+    });
+    document.getElementById('delete-node-btn').addEventListener('click', () => deleteNode(selectedNodeKey));
+}
+
+async function initEditor() {
+    applyDisplaySettings();
+    setupEditorControls();
+    try {
+        storySchema = await fetchJson(STORY_SCHEMA_URL);
+        setStory(readDraftStory() || await fetchJson(DEFAULT_STORY_URL));
+    } catch (e) {
+        console.error('Error loading story:', e);
+        document.getElementById('warning-summary').textContent = `Could not load the story: ${e.message}`;
+    }
+}
+
+initEditor();
@@ -0,0 +1,38 @@
+// Ending unlock tracking (shared by story.html, endings.html and index.html)
+
+const ENDINGS_STORAGE_KEY = 'bandersnatch-endings';
+
+// Ending nodes of a loaded story, in ending-number order
+function getEndings(story) {
+    return Object.entries(story.nodes)
+        .filter(([, node]) => node.ending)
+        .map(([key, node]) => ({ key: key, ...node.ending }))
+        .sort((a, b) => a.number - b.number);
+}
+
+function getUnlockedEndings(storyId) {
+    try {
+        return JSON.parse(localStorage.getItem(getStoryStorageKey(ENDINGS_STORAGE_KEY, storyId))) || {};
+    } catch (e) {
+        console.log("Error reading endings:", e);
+        return {};
+    }
+}
+
+// Records an ending the first time it is reached; later runs keep the original date and path
+function unlockEnding(endingKey, path) {
+    const unlocked = getUnlockedEndings();
+    if (unlocked[endingKey]) return false;
+
+    unlocked[endingKey] = {
+        firstReachedAt: new Date().toISOString(),
+        path: path.map(step => ({ node: step.node, choice: step.choice }))
+    };
+
+    try {
+        localStorage.setItem(getStoryStorageKey(ENDINGS_STORAGE_KEY), JSON.stringify(unlocked));
+    } catch (e) {
+        console.log("Error saving ending:", e);
+    }
+    return true;
+}
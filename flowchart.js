@@ -0,0 +1,184 @@
+// Flowchart of the story graph, with the player's visited nodes lit up and
+// everything else in fog
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const FLOWCHART_COLUMN_WIDTH = 200;
+const FLOWCHART_ROW_HEIGHT = 64;
+const FLOWCHART_NODE_WIDTH = 160;
+const FLOWCHART_NODE_HEIGHT = 40;
+const FLOWCHART_PADDING = 30;
+const FLOWCHART_LABEL_LENGTH = 20;
+
+// Every choice, answer and wrong route that points at an existing node
+function getStoryEdges(story) {
+    const edges = [];
+    Object.entries(story.nodes).forEach(([key, node]) => {
+        const routes = node.input
+            ? [...Object.entries(node.input.answers), ['wrong', node.input.wrong]]
+            : Object.entries(node.choices || {});
+
+        routes.forEach(([label, value]) => {
+            const target = normalizeChoice(value).next;
+            if (story.nodes[target]) {
+                edges.push({ from: key, to: target, label: label });
+            }
+        });
+    });
+    return edges;
+}
+
+// Columns by distance from the start node; unreachable nodes go in a last column
+function layoutStoryGraph(story, edges) {
+    const outgoing = {};
+    Object.keys(story.nodes).forEach(key => { outgoing[key] = []; });
+    edges.forEach(edge => outgoing[edge.from].push(edge.to));
+
+    const columns = { [story.start]: 0 };
+    const order = [story.start];
+    for (let i = 0; i < order.length; i++) {
+        outgoing[order[i]].forEach(target => {
+            if (columns[target] === undefined) {
+                columns[target] = columns[order[i]] + 1;
+                order.push(target);
+            }
+        });
+    }
+
+    const lastColumn = Math.max(...Object.values(columns)) + 1;
+    Object.keys(story.nodes).forEach(key => {
+        if (columns[key] === undefined) {
+            columns[key] = lastColumn;
+            order.push(key);
+        }
+    });
+
+    const rowsUsed = {};
+    const positions = {};
+    order.forEach(key => {
+        const column = columns[key];
+        const row = rowsUsed[column] || 0;
+        rowsUsed[column] = row + 1;
+        positions[key] = {
+            x: FLOWCHART_PADDING + column * FLOWCHART_COLUMN_WIDTH,
+            y: FLOWCHART_PADDING + row * FLOWCHART_ROW_HEIGHT
+        };
+    });
+
+    const columnCount = Math.max(...Object.values(columns)) + 1;
+    const rowCount = Math.max(...Object.values(rowsUsed));
+    return {
+        positions: positions,
+        width: FLOWCHART_PADDING * 2 + (columnCount - 1) * FLOWCHART_COLUMN_WIDTH + FLOWCHART_NODE_WIDTH,
+        height: FLOWCHART_PADDING * 2 + (rowCount - 1) * FLOWCHART_ROW_HEIGHT + FLOWCHART_NODE_HEIGHT
+    };
+}
+
+function createSvgElement(tag, attributes) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+function getFlowchartLabel(key, node) {
+    const label = node.ending
+        ? `#${node.ending.number} ${node.ending.title}`
+        : key.replace(/-/g, ' ');
+    return label.length > FLOWCHART_LABEL_LENGTH
+        ? `${label.slice(0, FLOWCHART_LABEL_LENGTH - 1)}…`
+        : label;
+}
+
+function getEdgePath(from, to) {
+    const startX = from.x + FLOWCHART_NODE_WIDTH;
+    const startY = from.y + FLOWCHART_NODE_HEIGHT / 2;
+    const endX = to.x;
+    const endY = to.y + FLOWCHART_NODE_HEIGHT / 2;
+    const bend = Math.max(60, Math.abs(endX - startX) / 2);
+    return `M ${startX} ${startY} C ${startX + bend} ${startY}, ${endX - bend} ${endY}, ${endX} ${endY}`;
+}
+
+// Draws the graph into svg. onJump(nodeKey) is called for visited decision
+// points; pass null to make nothing clickable.
+function renderFlowchart(svg, story, visits, currentNodeKey, onJump) {
+    const edges = getStoryEdges(story);
+    const layout = layoutStoryGraph(story, edges);
+    const isVisited = key => Boolean(visits.nodes[key]);
+
+    svg.innerHTML = '';
+    svg.setAttribute('viewBox', `0 0 ${layout.width} ${layout.height}`);
+    svg.setAttribute('width', layout.width);
+    svg.setAttribute('height', layout.height);
+
+    const edgeGroup = createSvgElement('g', { class: 'flow-edges' });
+    edges.forEach(edge => {
+        // Branches leading out of unexplored nodes stay hidden
+        if (!isVisited(edge.from)) return;
+
+        const taken = visits.edges[getEdgeKey(edge.from, edge.to)];
+        const path = createSvgElement('path', {
+            d: getEdgePath(layout.positions[edge.from], layout.positions[edge.to]),
+            class: `flow-edge ${taken ? 'visited' : 'fog'}`
+        });
+        const title = createSvgElement('title', {});
+        title.textContent = taken ? getChoiceText(story.nodes[edge.from], edge.label) : '?';
+        path.appendChild(title);
+        edgeGroup.appendChild(path);
+    });
+    svg.appendChild(edgeGroup);
+
+    const nodeGroup = createSvgElement('g', { class: 'flow-nodes' });
+    Object.entries(story.nodes).forEach(([key, node]) => {
+        const { x, y } = layout.positions[key];
+        const visited = isVisited(key);
+        const jumpable = onJump && visited && !node.ending;
+
+        const classes = ['flow-node', visited ? 'visited' : 'fog'];
+        if (node.ending) classes.push('ending');
+        if (key === currentNodeKey) classes.push('current');
+        if (jumpable) classes.push('jumpable');
+
+        const group = createSvgElement('g', {
+            class: classes.join(' '),
+            transform: `translate(${x}, ${y})`,
+            'data-node': key
+        });
+        group.appendChild(createSvgElement('rect', {
+            width: FLOWCHART_NODE_WIDTH,
+            height: FLOWCHART_NODE_HEIGHT,
+            rx: node.ending ? FLOWCHART_NODE_HEIGHT / 2 : 6
+        }));
+
+        const text = createSvgElement('text', {
+            x: FLOWCHART_NODE_WIDTH / 2,
+            y: FLOWCHART_NODE_HEIGHT / 2,
+            'text-anchor': 'middle',
+            'dominant-baseline': 'central'
+        });
+        text.textContent = visited ? getFlowchartLabel(key, node) : '?';
+        group.appendChild(text);
+
+        if (visited) {
+            const title = createSvgElement('title', {});
+            title.textContent = getNodeText(node, visits.nodes[key].state || {}).slice(0, 140);
+            group.appendChild(title);
+        }
+
+        if (jumpable) {
+            group.setAttribute('tabindex', '0');
+            group.setAttribute('role', 'button');
+            group.setAttribute('aria-label', t('flowchart.jumpTo', { label: getFlowchartLabel(key, node) }));
+            group.addEventListener('click', () => onJump(key));
+            group.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    onJump(key);
+                }
+            });
+        }
+        nodeGroup.appendChild(group);
+    });
+    svg.appendChild(nodeGroup);
+
+    return layout;
+}
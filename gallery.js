@@ -0,0 +1,58 @@
+// Endings gallery: unlocked endings with their first path, locked ones with a hint
+
+function createUnlockedCard(story, ending, number, unlock) {
+    const template = document.getElementById('ending-card-template');
+    const card = template.content.cloneNode(true).querySelector('.ending-card');
+    card.querySelector('.ending-card-number').textContent = `#${number}`;
+    card.querySelector('.ending-card-title').textContent = ending.title;
+    card.querySelector('.ending-card-date').textContent =
+        t('gallery.firstReached', { date: new Date(unlock.firstReachedAt).toLocaleDateString(getLocale()) });
+
+    const pathList = card.querySelector('.ending-card-path');
+    (unlock.path || []).forEach(step => {
+        const item = document.createElement('li');
+        item.textContent = getChoiceText(story.nodes[step.node], step.choice);
+        pathList.appendChild(item);
+    });
+
+    return card;
+}
+
+function createLockedCard(ending, number) {
+    const template = document.getElementById('locked-card-template');
+    const card = template.content.cloneNode(true).querySelector('.ending-card');
+    card.querySelector('.ending-card-number').textContent = `#${number}`;
+    card.querySelector('.ending-card-hint').textContent = t('gallery.hint', { hint: ending.hint || t('gallery.noHint') });
+    return card;
+}
+
+function renderGallery(story) {
+    const endings = getEndings(story);
+    const grid = document.getElementById('gallery-grid');
+    const unlocked = getUnlockedEndings();
+    document.getElementById('gallery-story').textContent = story.title;
+    grid.innerHTML = '';
+
+    endings.forEach((ending, index) => {
+        const unlock = unlocked[ending.key];
+        const card = unlock
+            ? createUnlockedCard(story, ending, index + 1, unlock)
+            : createLockedCard(ending, index + 1);
+        grid.appendChild(card);
+    });
+
+    const unlockedCount = endings.filter(ending => unlocked[ending.key]).length;
+    document.getElementById('gallery-progress').textContent =
+        t('gallery.progress', { unlocked: unlockedCount, total: endings.length });
+}
+
+applyDisplaySettings();
+setupAppUpdates();
+loadLocale()
+    .then(loadStory)
+    .then(translateStory)
+    .then(renderGallery)
+    .catch(error => {
+        console.error('Error loading story:', error);
+        document.getElementById('gallery-progress').textContent = t('gallery.loadFailed');
+    });
@@ -0,0 +1,152 @@
+// Landing page: the story library, with each story's progress, continue button
+// and chapter select, and the settings every story shares
+
+// Offer to resume the story's last run if one was autosaved
+function setupContinueButton(card, storyId) {
+    const autosaveData = readSave(AUTOSAVE_SLOT, storyId);
+    if (!autosaveData) return;
+
+    const continueBtn = card.querySelector('.continue-btn');
+    continueBtn.href = getStoryLink('story.html', { load: AUTOSAVE_SLOT }, storyId);
+    continueBtn.title = `${autosaveData.chapter} · ${formatSaveDate(autosaveData.savedAt)}`;
+    continueBtn.hidden = false;
+}
+
+function showStoryProgress(card, story) {
+    const unlocked = getUnlockedEndings(story.id);
+    const endings = getEndings(story);
+    const unlockedCount = endings.filter(ending => unlocked[ending.key]).length;
+    card.querySelector('.story-card-endings').textContent =
+        t('home.endingsCount', { unlocked: unlockedCount, total: endings.length });
+
+    const seen = getVisits(story.id).nodes;
+    const nodeKeys = Object.keys(story.nodes);
+    const seenCount = nodeKeys.filter(key => seen[key]).length;
+    card.querySelector('.story-card-scenes').textContent =
+        t('home.scenesSeen', { percent: Math.round((seenCount / nodeKeys.length) * 100) });
+}
+
+// Links for every chapter already reached, in story order
+function renderChapterSelect(card, story) {
+    const reached = getReachedChapters(story.id);
+    const chapterList = card.querySelector('.chapter-list');
+    const chapterIds = Object.keys(story.chapters).filter(chapterId => reached[chapterId]);
+    if (chapterIds.length === 0) return;
+
+    chapterIds.forEach(chapterId => {
+        const chapter = story.chapters[chapterId];
+        const link = document.createElement('a');
+        link.className = 'chapter-link';
+        link.href = getStoryLink('story.html', { chapter: chapterId }, story.id);
+        link.textContent = chapter.title;
+        if (chapter.date) link.title = chapter.date;
+        chapterList.appendChild(link);
+    });
+
+    card.querySelector('.chapter-select').hidden = false;
+}
+
+function createStoryCard(story) {
+    const template = document.getElementById('story-card-template');
+    const card = template.content.cloneNode(true).querySelector('.story-card');
+    const cover = card.querySelector('.story-card-cover');
+    if (story.cover) {
+        cover.src = story.cover;
+    } else {
+        cover.remove();
+    }
+    card.querySelector('.story-card-title').textContent = story.title;
+    card.querySelector('.story-card-description').textContent = story.description || '';
+    card.querySelector('.play-btn').href = getStoryLink('story.html', {}, story.id);
+    card.querySelector('.endings-link').href = getStoryLink('endings.html', {}, story.id);
+    card.querySelector('.achievements-link').href = getStoryLink('achievements.html', {}, story.id);
+    card.querySelector('.stats-link').href = getStoryLink('stats.html', {}, story.id);
+
+    setupContinueButton(card, story.id);
+    showStoryProgress(card, story);
+    renderChapterSelect(card, story);
+    return card;
+}
+
+// A story that fails to load is left out instead of taking the library with it
+async function loadLibraryStory(storyId) {
+    try {
+        return await translateStory(await loadStory(storyId));
+    } catch (error) {
+        console.error(`Error loading story "${storyId}":`, error);
+        return null;
+    }
+}
+
+async function renderLibrary() {
+    const library = document.getElementById('story-library');
+    const status = document.getElementById('library-status');
+    try {
+        const storyIds = await loadStoryLibrary();
+        const stories = await Promise.all(storyIds.map(loadLibraryStory));
+        const failed = storyIds.filter((storyId, index) => !stories[index]);
+
+        stories.filter(Boolean).forEach(story => library.appendChild(createStoryCard(story)));
+        status.textContent = failed.map(storyId => t('home.storyFailed', { id: storyId })).join(' · ');
+        status.hidden = failed.length === 0;
+    } catch (error) {
+        console.error('Error loading story library:', error);
+        status.textContent = t('home.libraryFailed');
+        status.hidden = false;
+    }
+}
+
+// Keeps a checkbox in sync with one of the settings.
+// Hardcore applies to runs started from now on; a run in progress keeps its mode.
+function bindSettingCheckbox(checkboxId, settingName, onChange) {
+    const checkbox = document.getElementById(checkboxId);
+    checkbox.checked = getSettings()[settingName];
+    checkbox.addEventListener('change', () => {
+        updateSettings({ [settingName]: checkbox.checked });
+        if (onChange) onChange();
+    });
+}
+
+// Display settings apply to the landing page straight away and a new language
+// reloads it; the rest take effect in the next run
+function setupSettingsButton() {
+    document.getElementById('settings-btn').addEventListener('click', () => {
+        openSettingsPanel((changes) => {
+            if ('locale' in changes) {
+                window.location.reload();
+            } else {
+                applyDisplaySettings();
+            }
+        });
+    });
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && isSettingsPanelOpen()) closeSettingsPanel();
+    });
+}
+
+// A recorded run (recording.js) picked from disk plays back on the story page
+function setupReplayPicker() {
+    const fileInput = document.getElementById('replay-file');
+    document.getElementById('replay-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            const recording = parseRecording(await file.text());
+            storeReplay(recording);
+            window.location.href = getStoryLink('story.html', { replay: '' }, recording.story);
+        } catch (e) {
+            alert(t('home.replayFailed', { name: file.name, message: e.message }));
+        }
+    });
+}
+
+applyDisplaySettings();
+setupSettingsButton();
+setupReplayPicker();
+setupAppUpdates();
+bindSettingCheckbox('hardcore-checkbox', 'hardcore');
+loadLocale()
+    .then(renderLibrary)
+    .catch(error => console.error('Error loading story library:', error));
@@ -0,0 +1,108 @@
+// Interface language: UI strings from locales/<code>.json and story
+// translations next to the story file (see "Translations" in stories/README.md).
+// Anything a locale leaves out is shown in English.
+
+const DEFAULT_LOCALE = 'en';
+
+// name is shown in the language picker; speech lists the recognition languages
+// voice commands can use, the first being the default
+const LOCALES = {
+    en: {
+        name: 'English',
+        speech: [
+            ['en-US', 'English (US)'],
+            ['en-GB', 'English (UK)'],
+            ['en-AU', 'English (Australia)'],
+            ['en-CA', 'English (Canada)'],
+            ['en-IE', 'English (Ireland)'],
+            ['en-IN', 'English (India)']
+        ]
+    },
+    es: {
+        name: 'Español',
+        speech: [
+            ['es-ES', 'Español (España)'],
+            ['es-MX', 'Español (México)'],
+            ['es-US', 'Español (Estados Unidos)'],
+            ['es-AR', 'Español (Argentina)']
+        ]
+    }
+};
+
+let localeStrings = {}; // Strings of the current locale
+let fallbackStrings = {}; // English, for keys the current locale doesn't have
+
+function getLocale() {
+    const locale = getSettings().locale;
+    return LOCALES[locale] ? locale : DEFAULT_LOCALE;
+}
+
+// The player's recognition language if it belongs to the current locale,
+// otherwise the locale's default
+function getSpeechLanguage() {
+    const languages = LOCALES[getLocale()].speech;
+    const chosen = getSettings().voiceLanguage;
+    return languages.some(([code]) => code === chosen) ? chosen : languages[0][0];
+}
+
+function getLocaleOptions() {
+    return Object.entries(LOCALES).map(([code, locale]) => [code, locale.name]);
+}
+
+function getSpeechLanguageOptions() {
+    return LOCALES[getLocale()].speech;
+}
+
+async function fetchLocaleStrings(locale) {
+    try {
+        return await fetchJson(`locales/${locale}.json`);
+    } catch (e) {
+        console.log(`Error loading ${locale} strings:`, e);
+        return {};
+    }
+}
+
+// Loads the current locale's strings and translates the page with them
+async function loadLocale() {
+    const locale = getLocale();
+    fallbackStrings = await fetchLocaleStrings(DEFAULT_LOCALE);
+    localeStrings = locale === DEFAULT_LOCALE ? fallbackStrings : await fetchLocaleStrings(locale);
+    document.documentElement.lang = locale;
+    translatePage(document);
+}
+
+// t('saves.saved', { name: 'Before the roof' }) fills in {name}. With a count
+// of 1, "<key>.one" is used if the locale has it.
+function t(key, params = {}) {
+    const lookup = name => (name in localeStrings ? localeStrings[name] : fallbackStrings[name]);
+    const text = (params.count === 1 && lookup(`${key}.one`)) || lookup(key);
+    if (text === undefined) return key;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? params[name] : placeholder));
+}
+
+// Fills in the text of data-i18n elements and the attribute named by any
+// data-i18n-<attribute>, inside templates too
+function translatePage(root) {
+    root.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            if (name === 'data-i18n') {
+                element.textContent = t(value);
+            } else if (name.startsWith('data-i18n-')) {
+                element.setAttribute(name.slice('data-i18n-'.length), t(value));
+            }
+        });
+        if (element.tagName === 'TEMPLATE') translatePage(element.content);
+    });
+}
+
+// The story with the current locale's translation applied, if it has one
+async function translateStory(story) {
+    const locale = getLocale();
+    if (locale === DEFAULT_LOCALE) return story;
+    try {
+        return localizeStory(story, await fetchJson(`stories/${story.id}.${locale}.json`));
+    } catch (e) {
+        console.log(`No ${locale} translation of "${story.id}", showing it in English:`, e);
+        return story;
+    }
+}
@@ -0,0 +1,160 @@
+// Per-node background images, ambient loops and one-shot sound cues.
+// See "Media" in stories/README.md for how nodes and chapters declare them.
+
+const MEDIA_CROSSFADE_TIME = 1500; // ms, matches the .scene-background transition
+const MEDIA_FADE_STEP = 50; // ms between volume changes while fading
+
+const preloadedMedia = {}; // url → Image or Audio
+const audioFades = new Map(); // Audio → interval id of its running fade
+let ambientTrack = null; // { url, audio } of the loop currently playing
+let activeBackgroundLayer = 0;
+
+// A node's media on top of its chapter's; "" in the node switches a chapter default off
+function getNodeMedia(story, node) {
+    const chapter = story.chapters[node.chapter] || {};
+    return { ...(chapter.media || {}), ...(node.media || {}) };
+}
+
+function getMediaVolume() {
+    const settings = getSettings();
+    return settings.muted ? 0 : settings.volume;
+}
+
+function getAudio(url) {
+    if (!(preloadedMedia[url] instanceof Audio)) {
+        preloadedMedia[url] = new Audio(url);
+        preloadedMedia[url].preload = 'auto';
+    }
+    return preloadedMedia[url];
+}
+
+function preloadImage(url) {
+    if (preloadedMedia[url]) return;
+    const image = new Image();
+    image.src = url;
+    preloadedMedia[url] = image;
+}
+
+// Starts loading the media of every node the player can go to next
+function preloadNextMedia(story, targets) {
+    targets.forEach(target => {
+        const node = story.nodes[target];
+        if (!node) return;
+        const media = getNodeMedia(story, node);
+        if (media.background) preloadImage(media.background);
+        if (media.ambient) getAudio(media.ambient);
+        if (media.cue) getAudio(media.cue);
+    });
+}
+
+// Browsers block audio until the player has interacted with the page;
+// try again on the first click or key press
+function playAudio(audio, retry) {
+    const playing = audio.play();
+    if (!playing) return;
+    playing.catch(e => {
+        console.log('Audio could not play yet:', e.message);
+        if (!retry) return;
+        const unlock = () => {
+            document.removeEventListener('pointerdown', unlock);
+            document.removeEventListener('keydown', unlock);
+            retry();
+        };
+        document.addEventListener('pointerdown', unlock);
+        document.addEventListener('keydown', unlock);
+    });
+}
+
+function fadeAudio(audio, targetVolume, onDone) {
+    clearInterval(audioFades.get(audio));
+    const steps = Math.max(1, Math.round(MEDIA_CROSSFADE_TIME / MEDIA_FADE_STEP));
+    const change = (targetVolume - audio.volume) / steps;
+    let step = 0;
+
+    const fade = setInterval(() => {
+        step++;
+        audio.volume = step >= steps ? targetVolume : Math.min(1, Math.max(0, audio.volume + change));
+        if (step >= steps) {
+            clearInterval(fade);
+            audioFades.delete(audio);
+            if (onDone) onDone();
+        }
+    }, MEDIA_FADE_STEP);
+    audioFades.set(audio, fade);
+}
+
+// Crossfades to a new loop; the same loop on consecutive nodes keeps playing
+function setAmbient(url) {
+    if ((ambientTrack ? ambientTrack.url : '') === (url || '')) return;
+
+    const previous = ambientTrack;
+    if (previous) {
+        fadeAudio(previous.audio, 0, () => previous.audio.pause());
+    }
+    ambientTrack = null;
+    if (!url) return;
+
+    const audio = getAudio(url);
+    audio.loop = true;
+    if (audio.paused) audio.volume = 0;
+    ambientTrack = { url: url, audio: audio };
+
+    const start = () => {
+        if (!ambientTrack || ambientTrack.audio !== audio) return;
+        playAudio(audio, start);
+        fadeAudio(audio, getMediaVolume());
+    };
+    start();
+}
+
+function playCue(url) {
+    const audio = getAudio(url);
+    audio.currentTime = 0;
+    audio.volume = getMediaVolume();
+    playAudio(audio);
+}
+
+function setBackground(url) {
+    const layers = document.querySelectorAll('.scene-background');
+    if (layers.length < 2) return;
+
+    const current = layers[activeBackgroundLayer];
+    if ((current.dataset.url || '') === (url || '')) return;
+
+    // Fade the new image in on the other layer while the current one fades out
+    activeBackgroundLayer = 1 - activeBackgroundLayer;
+    const next = layers[activeBackgroundLayer];
+    next.dataset.url = url || '';
+    next.style.backgroundImage = url
+        ? `linear-gradient(rgba(0, 0, 0, 0.8), rgba(0, 0, 0, 0.8)), url("${url}")`
+        : '';
+    next.classList.toggle('visible', Boolean(url));
+    current.classList.remove('visible');
+}
+
+// Shows the node's background and plays its ambient loop and cue
+function showNodeMedia(story, node) {
+    const media = getNodeMedia(story, node);
+    setBackground(media.background);
+    setAmbient(media.ambient);
+    if (media.cue) playCue(media.cue);
+}
+
+// Volume or mute changed: apply it to the loop straight away
+function applyMediaVolume() {
+    if (!ambientTrack) return;
+    clearInterval(audioFades.get(ambientTrack.audio));
+    audioFades.delete(ambientTrack.audio);
+    ambientTrack.audio.volume = getMediaVolume();
+}
+
+// Silences every loop and cue, for the time-up screen and leaving the page
+function stopAllMedia() {
+    audioFades.forEach(fade => clearInterval(fade));
+    audioFades.clear();
+    Object.values(preloadedMedia).forEach(media => {
+        if (media instanceof Audio) media.pause();
+    });
+    ambientTrack = null;
+}
+
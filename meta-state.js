@@ -0,0 +1,44 @@
+// Memory of earlier runs on this device, which stories read as meta.* variables
+// (see "Memory of earlier runs" in stories/README.md). Endings and seen nodes
+// come from endings.js and visits.js; the run count is kept here.
+
+const META_STORAGE_KEY = 'bandersnatch-meta';
+
+function getRunCount() {
+    try {
+        return (JSON.parse(localStorage.getItem(getStoryStorageKey(META_STORAGE_KEY))) || {}).runs || 0;
+    } catch (e) {
+        console.log("Error reading run count:", e);
+        return 0;
+    }
+}
+
+function recordRunStarted() {
+    try {
+        localStorage.setItem(getStoryStorageKey(META_STORAGE_KEY), JSON.stringify({ runs: getRunCount() + 1 }));
+    } catch (e) {
+        console.log("Error saving run count:", e);
+    }
+}
+
+// Values of the meta.* variables the story uses, for a run starting now;
+// meta.runs doesn't count the new run itself
+function getMetaState(story) {
+    const unlocked = getUnlockedEndings();
+    const seen = getVisits().nodes;
+    const meta = {};
+
+    getMetaStateNamesUsed(story).forEach(name => {
+        const [, kind, key] = name.match(/^meta\.(seen|ending)\.(.+)$/) || [];
+        if (name === 'meta.runs') {
+            meta[name] = getRunCount();
+        } else if (name === 'meta.endings') {
+            meta[name] = getEndings(story).filter(ending => unlocked[ending.key]).length;
+        } else if (kind === 'seen') {
+            meta[name] = Boolean(seen[key]);
+        } else if (kind === 'ending') {
+            meta[name] = Boolean(unlocked[key]);
+        }
+    });
+    return meta;
+}
@@ -0,0 +1,102 @@
+// Reads story text and choices aloud through the browser's SpeechSynthesis API.
+// Voice hints come from the story's "voices", see "Narration voices" in stories/README.md.
+
+let narrationActive = false;
+// Bumped whenever narration is cancelled, so callbacks of cancelled narration are ignored
+let narrationRun = 0;
+
+function isNarrationSupported() {
+    return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+}
+
+function isNarrationEnabled() {
+    return isNarrationSupported() && getSettings().narration;
+}
+
+function isNarrating() {
+    return narrationActive;
+}
+
+function getNarrationVoices() {
+    return isNarrationSupported() ? speechSynthesis.getVoices() : [];
+}
+
+// Among the installed voices that speak the current locale's language, the
+// first one the hint prefers, otherwise the player's chosen voice. null leaves
+// it to the browser's default for the utterance's language.
+function findNarrationVoice(hint) {
+    const language = getLocale();
+    const voices = getNarrationVoices().filter(voice => voice.lang.toLowerCase().startsWith(language));
+    for (const name of (hint && hint.prefer) || []) {
+        const voice = voices.find(option => option.name.includes(name));
+        if (voice) return voice;
+    }
+    return voices.find(option => option.voiceURI === getSettings().narrationVoice) || null;
+}
+
+// Speaks each { text, hint } part in turn. onDone runs once the last part has
+// been spoken, or straight away when narration is off; never after cancelNarration().
+function narrate(parts, onDone) {
+    cancelNarration();
+    const spoken = parts.filter(part => part.text);
+    if (!isNarrationEnabled() || spoken.length === 0) {
+        if (onDone) onDone();
+        return;
+    }
+
+    const run = narrationRun;
+    const settings = getSettings();
+    narrationActive = true;
+
+    // Done once every part has ended or failed, whichever order they come in
+    let outstanding = spoken.length;
+    const partDone = () => {
+        outstanding--;
+        if (outstanding > 0 || run !== narrationRun) return;
+        narrationActive = false;
+        if (onDone) onDone();
+    };
+
+    spoken.forEach((part) => {
+        const hint = part.hint || {};
+        const utterance = new SpeechSynthesisUtterance(part.text);
+        const voice = findNarrationVoice(hint);
+        utterance.lang = getSpeechLanguage();
+        if (voice) utterance.voice = voice;
+        utterance.rate = settings.narrationRate * (hint.rate || 1);
+        utterance.pitch = settings.narrationPitch * (hint.pitch === undefined ? 1 : hint.pitch);
+
+        // A failed part (e.g. no user gesture yet) shouldn't hold up the game,
+        // but the parts after it may still be speaking
+        let counted = false;
+        const settle = () => {
+            if (counted) return;
+            counted = true;
+            partDone();
+        };
+        utterance.onerror = (event) => {
+            console.log('Narration error:', event.error);
+            settle();
+        };
+        utterance.onend = settle;
+        speechSynthesis.speak(utterance);
+    });
+}
+
+function cancelNarration() {
+    narrationRun++;
+    narrationActive = false;
+    if (isNarrationSupported()) speechSynthesis.cancel();
+}
+
+// [value, label] pairs for the voice picker on the settings screen
+function getNarrationVoiceOptions() {
+    return [['', t('settings.narrationVoiceDefault')]].concat(
+        getNarrationVoices().map(voice => [voice.voiceURI, `${voice.name} (${voice.lang})`])
+    );
+}
+
+// Voices often load after the page does
+function onNarrationVoicesChanged(callback) {
+    if (isNarrationSupported()) speechSynthesis.onvoiceschanged = callback;
+}
@@ -0,0 +1,52 @@
+// Offline support: registers the service worker (sw.js) and, when a new version
+// of the game has been downloaded, lets the player switch to it when it suits them
+
+// prepareReload() runs before switching and returns the URL to reload into,
+// or nothing to reload the current page
+function setupAppUpdates(prepareReload) {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        // Only an update waits; the first install takes over straight away
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdateBanner(registration.waiting, prepareReload);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateBanner(worker, prepareReload);
+                }
+            });
+        });
+    }).catch(e => console.log("Error registering service worker:", e));
+}
+
+function showUpdateBanner(worker, prepareReload) {
+    if (document.querySelector('.update-banner')) return;
+
+    const banner = document.createElement('div');
+    banner.className = 'update-banner';
+    banner.setAttribute('role', 'status');
+    const message = document.createElement('span');
+    message.textContent = t('update.available');
+    const reloadBtn = document.createElement('button');
+    reloadBtn.textContent = t('update.reload');
+    const laterBtn = document.createElement('button');
+    laterBtn.textContent = t('update.later');
+    banner.append(message, reloadBtn, laterBtn);
+
+    reloadBtn.addEventListener('click', () => {
+        const url = prepareReload ? prepareReload() : null;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (url) {
+                window.location.href = url;
+            } else {
+                window.location.reload();
+            }
+        }, { once: true });
+        worker.postMessage('skipWaiting');
+    });
+    laterBtn.addEventListener('click', () => banner.remove());
+    document.body.appendChild(banner);
+}
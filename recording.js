@@ -0,0 +1,85 @@
+// Event log of a run on the story page, exported as a file so it can be played
+// back with replay.js to reproduce a bug report or share a run
+
+const RECORDING_FORMAT = 1;
+
+// sessionStorage key the landing page hands a chosen recording to story.html over
+const REPLAY_STORAGE_KEY = 'bandersnatch-replay';
+
+// { format, story, startedAt, settings, events: [{ t, type, ... }] }, t being ms since
+// the recording started. Event types:
+//   node           { node, cause, snapshot }  snapshot is engine.getSnapshot() on entry
+//   choice         { from, label, to, seconds }  seconds of countdown used, null if untimed
+//   inputRejected  { entry, attemptsLeft }
+//   timeUp         { outcome, defaultChoice }
+//   pause, resume
+//   voice          { transcripts }
+let runRecording = null;
+let recordingStartedAt = 0;
+
+function startRecording(story) {
+    const settings = getSettings();
+    recordingStartedAt = Date.now();
+    runRecording = {
+        format: RECORDING_FORMAT,
+        story: story.id,
+        startedAt: new Date(recordingStartedAt).toISOString(),
+        settings: { hardcore: settings.hardcore, timerScale: settings.timerScale, locale: settings.locale },
+        events: []
+    };
+}
+
+function recordEvent(type, data = {}) {
+    if (!runRecording) return;
+    runRecording.events.push({ t: Date.now() - recordingStartedAt, type: type, ...data });
+}
+
+// Logs everything the engine does from here on
+function recordEngine(engine) {
+    engine.on('nodeEntered', ({ key, cause }) => {
+        recordEvent('node', { node: key, cause: cause, snapshot: engine.getSnapshot() });
+    });
+    engine.on('choiceMade', ({ from, label, to }) => {
+        const seconds = engine.timed ? engine.timeLimit - engine.timeLeft : null;
+        recordEvent('choice', { from: from, label: label, to: to, seconds: seconds });
+    });
+    engine.on('inputRejected', ({ entry, attemptsLeft }) => {
+        recordEvent('inputRejected', { entry: entry, attemptsLeft: attemptsLeft });
+    });
+    engine.on('timeUp', ({ outcome, defaultChoice }) => {
+        recordEvent('timeUp', { outcome: outcome, defaultChoice: defaultChoice });
+    });
+}
+
+function exportRecording() {
+    if (!runRecording) return;
+    const blob = new Blob([`${JSON.stringify(runRecording, null, 4)}\n`], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${runRecording.story}-run-${runRecording.startedAt.slice(0, 19).replace(/:/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Throws if text isn't a recording this version can play
+function parseRecording(text) {
+    const recording = JSON.parse(text);
+    if (!recording || recording.format !== RECORDING_FORMAT || !Array.isArray(recording.events)) {
+        throw new Error('it is not a recorded run');
+    }
+    const first = recording.events[0];
+    if (!first || first.type !== 'node' || !first.snapshot) {
+        throw new Error('it has no starting point');
+    }
+    return recording;
+}
+
+function storeReplay(recording) {
+    sessionStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(recording));
+}
+
+// The recording handed over by storeReplay(); it stays so a reload plays it again
+function getStoredReplay() {
+    const text = sessionStorage.getItem(REPLAY_STORAGE_KEY);
+    return text ? parseRecording(text) : null;
+}
@@ -0,0 +1,136 @@
+// Plays a recording (recording.js) back in the story page, at a chosen speed
+// or one event at a time. Every node is restored from the snapshot taken when
+// it was entered, so the replay shows exactly what the player saw even if the
+// timing differs. The player can't interact with the story meanwhile.
+
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+const REPLAY_MAX_GAP = 5000; // ms; longer waits in the recording are cut short
+const REPLAY_MIN_GAP = 400; // ms, so each step stays visible at any speed
+const REPLAY_CARD_POLL = 100; // ms between checks while a chapter title card is up
+
+let replay = null; // { recording, index, playing, speed, timer }
+
+function startReplay(recording) {
+    replay = { recording: recording, index: 0, playing: true, speed: 1, timer: null };
+    document.body.classList.add('replaying');
+    showReplayBar();
+    playNextReplayEvent();
+}
+
+function showReplayBar() {
+    const template = document.getElementById('replay-bar-template');
+    const bar = template.content.cloneNode(true).querySelector('.replay-bar');
+    const speedSelect = bar.querySelector('.replay-speed');
+
+    REPLAY_SPEEDS.forEach(speed => {
+        const option = document.createElement('option');
+        option.value = String(speed);
+        option.textContent = t('replay.speed', { speed: speed });
+        speedSelect.appendChild(option);
+    });
+    speedSelect.value = String(replay.speed);
+    speedSelect.addEventListener('change', () => {
+        replay.speed = Number(speedSelect.value);
+    });
+
+    bar.querySelector('.replay-play-btn').addEventListener('click', toggleReplay);
+    bar.querySelector('.replay-step-btn').addEventListener('click', stepReplay);
+    bar.querySelector('.replay-exit-btn').addEventListener('click', () => {
+        window.location.href = 'index.html';
+    });
+    document.body.appendChild(bar);
+    updateReplayBar();
+}
+
+function updateReplayBar() {
+    const bar = document.querySelector('.replay-bar');
+    if (!bar) return;
+    const total = replay.recording.events.length;
+    bar.querySelector('.replay-progress').textContent = t('replay.progress', { step: replay.index, total: total });
+    bar.querySelector('.replay-play-btn').textContent = t(replay.playing ? 'replay.pause' : 'replay.play');
+    bar.querySelector('.replay-play-btn').disabled = replay.index >= total;
+    bar.querySelector('.replay-step-btn').disabled = replay.index >= total;
+}
+
+function toggleReplay() {
+    replay.playing = !replay.playing;
+    clearTimeout(replay.timer);
+    if (replay.playing) playNextReplayEvent();
+    updateReplayBar();
+}
+
+function stepReplay() {
+    replay.playing = false;
+    clearTimeout(replay.timer);
+    playNextReplayEvent();
+}
+
+// Waits for a chapter title card to finish, plays one event and, when playing,
+// schedules the next after the gap recorded between them
+function playNextReplayEvent() {
+    const events = replay.recording.events;
+    if (document.querySelector('.chapter-title-card')) {
+        replay.timer = setTimeout(playNextReplayEvent, REPLAY_CARD_POLL);
+        return;
+    }
+
+    const event = events[replay.index];
+    replay.index++;
+    if (!applyReplayEvent(event)) {
+        replay.index = events.length;
+    }
+
+    if (replay.index >= events.length) {
+        replay.playing = false;
+        showAlert(t('replay.finished'));
+    } else if (replay.playing) {
+        const gap = Math.min(events[replay.index].t - event.t, REPLAY_MAX_GAP) / replay.speed;
+        replay.timer = setTimeout(playNextReplayEvent, Math.max(gap, REPLAY_MIN_GAP));
+    }
+    updateReplayBar();
+}
+
+// Shows one recorded event through the same code the live game uses;
+// returns false if the replay can't go on
+function applyReplayEvent(event) {
+    switch (event.type) {
+        case 'node':
+            closePausePopup();
+            document.querySelectorAll('.ending-screen, .time-up-screen, .history-panel, .flowchart-screen')
+                .forEach(screen => screen.remove());
+            if (!engine.restore(event.snapshot, event.cause)) {
+                showAlert(t('replay.missingNode', { node: event.node }));
+                return false;
+            }
+            return true;
+        case 'choice': {
+            const choice = currentChoices.find(option => option.label === event.label);
+            if (choice) choice.button.classList.add('voice-selected');
+            const text = getChoiceText(storyNodes[event.from], event.label);
+            showAlert(event.seconds === null
+                ? t('replay.chose', { choice: text })
+                : t('replay.choseAfter', { choice: text, count: event.seconds }));
+            return true;
+        }
+        case 'inputRejected': {
+            const field = document.querySelector('.input-panel .input-field');
+            if (field) field.value = event.entry;
+            handleInputRejected(event);
+            return true;
+        }
+        case 'timeUp':
+            handleTimeUp(event);
+            return true;
+        case 'pause':
+            showPausePopup();
+            return true;
+        case 'resume':
+            closePausePopup();
+            return true;
+        case 'voice':
+            showAlert(t('replay.voice', { transcript: event.transcripts[0] }));
+            return true;
+        default:
+            return true;
+    }
+}
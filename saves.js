@@ -0,0 +1,51 @@
+// Save slots stored in localStorage (shared by index.html and story.html).
+// Each story has its own slots; storyId defaults to the story the page is showing.
+
+const SAVE_STORAGE_KEY = 'bandersnatch-saves';
+const AUTOSAVE_SLOT = 'autosave';
+
+function getSaves(storyId) {
+    try {
+        return JSON.parse(localStorage.getItem(getStoryStorageKey(SAVE_STORAGE_KEY, storyId))) || {};
+    } catch (e) {
+        console.log("Error reading saves:", e);
+        return {};
+    }
+}
+
+function writeSaves(saves) {
+    try {
+        localStorage.setItem(getStoryStorageKey(SAVE_STORAGE_KEY), JSON.stringify(saves));
+        return true;
+    } catch (e) {
+        console.log("Error writing saves:", e);
+        return false;
+    }
+}
+
+function readSave(slot, storyId) {
+    return getSaves(storyId)[slot] || null;
+}
+
+function writeSave(slot, data) {
+    const saves = getSaves();
+    saves[slot] = { ...data, savedAt: new Date().toISOString() };
+    return writeSaves(saves);
+}
+
+function deleteSave(slot) {
+    const saves = getSaves();
+    delete saves[slot];
+    return writeSaves(saves);
+}
+
+// Manual saves only, newest first
+function getManualSaves() {
+    return Object.entries(getSaves())
+        .filter(([slot]) => slot !== AUTOSAVE_SLOT)
+        .sort(([, a], [, b]) => b.savedAt.localeCompare(a.savedAt));
+}
+
+function formatSaveDate(isoString) {
+    return new Date(isoString).toLocaleString();
+}
@@ -0,0 +1,188 @@
+// Settings screen, opened from the landing page and the pause menu. Every
+// control saves straight away; the page applies the change live, or reloads
+// itself when the language changes.
+
+// Sections and their controls, with keys of locales/*.json for the text. A
+// select's options are [value, key] pairs, or a function returning [value, label]
+// pairs; the value keeps its type when it's saved.
+const SETTINGS_SECTIONS = [
+    {
+        title: 'settings.gameplay',
+        fields: [
+            { name: 'locale', label: 'settings.language', type: 'select', options: getLocaleOptions },
+            {
+                name: 'timerScale', label: 'settings.timerScale', type: 'select',
+                options: [
+                    [0.5, 'settings.timer.half'],
+                    [1, 'settings.timer.normal'],
+                    [1.5, 'settings.timer.longer'],
+                    [2, 'settings.timer.double'],
+                    [0, 'settings.timer.off']
+                ]
+            },
+            {
+                name: 'transitionSpeed', label: 'settings.transitionSpeed', type: 'select',
+                options: [
+                    ['instant', 'settings.transition.instant'],
+                    ['fast', 'settings.transition.fast'],
+                    ['normal', 'settings.transition.normal'],
+                    ['slow', 'settings.transition.slow']
+                ]
+            },
+            {
+                name: 'textSize', label: 'settings.textSize', type: 'select',
+                options: [
+                    ['small', 'settings.text.small'],
+                    ['medium', 'settings.text.medium'],
+                    ['large', 'settings.text.large'],
+                    ['x-large', 'settings.text.xLarge']
+                ]
+            },
+            { name: 'reducedMotion', label: 'settings.reducedMotion', type: 'checkbox' },
+            { name: 'choiceStats', label: 'settings.choiceStats', type: 'checkbox' }
+        ]
+    },
+    {
+        title: 'settings.voice',
+        isSupported: () => 'webkitSpeechRecognition' in window,
+        unsupportedNote: 'settings.voiceUnsupported',
+        fields: [
+            { name: 'voiceCommands', label: 'settings.voiceCommands', type: 'checkbox' },
+            { name: 'voiceLanguage', label: 'settings.voiceLanguage', type: 'select', options: getSpeechLanguageOptions }
+        ]
+    },
+    {
+        title: 'settings.narration',
+        isSupported: isNarrationSupported,
+        unsupportedNote: 'settings.narrationUnsupported',
+        fields: [
+            { name: 'narration', label: 'settings.narrationEnabled', type: 'checkbox' },
+            {
+                name: 'narrationVoice', label: 'settings.narrationVoice', type: 'select',
+                options: getNarrationVoiceOptions, refresh: onNarrationVoicesChanged
+            },
+            { name: 'narrationRate', label: 'settings.narrationRate', type: 'range', min: 0.5, max: 2, step: 0.1 },
+            { name: 'narrationPitch', label: 'settings.narrationPitch', type: 'range', min: 0, max: 2, step: 0.1 }
+        ]
+    },
+    {
+        title: 'settings.sound',
+        fields: [
+            { name: 'muted', label: 'settings.muted', type: 'checkbox' },
+            { name: 'volume', label: 'settings.volume', type: 'range', min: 0, max: 1, step: 0.05 }
+        ]
+    }
+];
+
+function fillSettingOptions(select, field) {
+    const options = typeof field.options === 'function'
+        ? field.options()
+        : field.options.map(([value, key]) => [value, t(key)]);
+    const current = field.name === 'voiceLanguage' ? getSpeechLanguage() : getSettings()[field.name];
+    select.innerHTML = '';
+    options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = String(value);
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = String(current);
+    return options;
+}
+
+// One labelled control; save(value) is called with the new value
+function createSettingControl(field, save) {
+    const row = document.createElement('label');
+    row.className = 'pause-setting';
+    const value = getSettings()[field.name];
+    let control;
+
+    if (field.type === 'select') {
+        control = document.createElement('select');
+        let options = fillSettingOptions(control, field);
+        if (field.refresh) field.refresh(() => { options = fillSettingOptions(control, field); });
+        control.addEventListener('change', () => {
+            const option = options.find(([optionValue]) => String(optionValue) === control.value);
+            if (option) save(option[0]);
+        });
+    } else {
+        control = document.createElement('input');
+        control.type = field.type;
+        if (field.type === 'checkbox') {
+            control.checked = value;
+            control.addEventListener('change', () => save(control.checked));
+        } else {
+            Object.assign(control, { min: field.min, max: field.max, step: field.step, value: value });
+            control.addEventListener('change', () => save(Number(control.value)));
+        }
+    }
+
+    control.name = field.name;
+    if (field.type === 'checkbox') {
+        row.append(control, ` ${t(field.label)}`);
+    } else {
+        row.append(`${t(field.label)} `, control);
+    }
+    return row;
+}
+
+function isSettingsPanelOpen() {
+    return Boolean(document.querySelector('.settings-screen'));
+}
+
+// Shows the settings screen; onChange(changes) runs after each setting is saved
+function openSettingsPanel(onChange) {
+    if (isSettingsPanelOpen()) return;
+
+    const screen = document.createElement('div');
+    screen.className = 'settings-screen';
+    screen.setAttribute('aria-label', t('settings.ariaLabel'));
+    const content = document.createElement('div');
+    content.className = 'pause-content settings-content';
+    const title = document.createElement('h2');
+    title.className = 'pause-title';
+    title.textContent = t('settings.title');
+    content.appendChild(title);
+
+    SETTINGS_SECTIONS.forEach(section => {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'pause-settings';
+        const legend = document.createElement('legend');
+        legend.textContent = t(section.title);
+        fieldset.appendChild(legend);
+
+        const supported = !section.isSupported || section.isSupported();
+        if (!supported) {
+            const note = document.createElement('p');
+            note.className = 'pause-setting-note';
+            note.textContent = t(section.unsupportedNote);
+            fieldset.appendChild(note);
+        }
+
+        section.fields.forEach(field => {
+            const row = createSettingControl(field, (value) => {
+                const changes = { [field.name]: value };
+                updateSettings(changes);
+                if (onChange) onChange(changes);
+            });
+            if (!supported) row.querySelector('input, select').disabled = true;
+            fieldset.appendChild(row);
+        });
+        content.appendChild(fieldset);
+    });
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'settings-close-btn';
+    closeBtn.textContent = t('settings.done');
+    closeBtn.addEventListener('click', closeSettingsPanel);
+    content.appendChild(closeBtn);
+
+    screen.appendChild(content);
+    document.body.appendChild(screen);
+    trapFocus(screen);
+}
+
+function closeSettingsPanel() {
+    const screen = document.querySelector('.settings-screen');
+    if (screen) screen.remove();
+}
@@ -0,0 +1,40 @@
+// Player preferences stored in localStorage (shared by every page)
+
+const SETTINGS_STORAGE_KEY = 'bandersnatch-settings';
+
+const DEFAULT_SETTINGS = {
+    locale: 'en', // Key of LOCALES in i18n.js
+    hardcore: false, // New runs can't rewind
+    reducedMotion: false, // Skip fades and animations (also on if the OS asks for it)
+    timerScale: 1, // Multiplies every choice's time limit, 0 for relaxed mode with no timer
+    transitionSpeed: 'normal', // Key of TRANSITION_SPEEDS in a11y.js
+    textSize: 'medium', // Key of TEXT_SIZES in a11y.js
+    choiceStats: true, // Show how past plays split after each decision
+    voiceCommands: true, // Listen for spoken choices and commands
+    voiceLanguage: '', // Speech recognition language, '' for the locale's default
+    narration: false, // Read story text and choices aloud
+    narrationVoice: '', // voiceURI of the chosen SpeechSynthesis voice, '' for the default
+    narrationRate: 1,
+    narrationPitch: 1,
+    volume: 0.8, // Ambient loops and sound cues, 0 to 1
+    muted: false
+};
+
+function getSettings() {
+    try {
+        return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) };
+    } catch (e) {
+        console.log("Error reading settings:", e);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+function updateSettings(changes) {
+    const settings = { ...getSettings(), ...changes };
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.log("Error saving settings:", e);
+    }
+    return settings;
+}
@@ -0,0 +1,140 @@
+// Statistics page: endings, common and rare paths and decision times from every
+// run recorded on this device (stats.js), with the raw data for download
+
+const STATS_PATH_COUNT = 5; // Paths listed as most and as least common
+
+function createStatsRow(label, percent, value) {
+    const template = document.getElementById('stats-row-template');
+    const row = template.content.cloneNode(true).querySelector('.stats-row');
+    row.querySelector('.stats-row-label').textContent = label;
+    row.querySelector('.choice-split-fill').style.width = `${percent}%`;
+    row.querySelector('.stats-row-value').textContent = value;
+    return row;
+}
+
+function getEndingTitle(story, endingKey) {
+    const node = story.nodes[endingKey];
+    return node && node.ending ? `#${node.ending.number} ${node.ending.title}` : endingKey;
+}
+
+function renderEndingFrequencies(story, stats) {
+    const list = document.getElementById('stats-endings');
+    const counts = getEndingFrequencies(stats);
+    list.innerHTML = '';
+
+    getEndings(story).forEach(ending => {
+        const count = counts[ending.key] || 0;
+        const percent = stats.endings.length ? Math.round((count / stats.endings.length) * 100) : 0;
+        list.appendChild(createStatsRow(
+            getEndingTitle(story, ending.key),
+            percent,
+            t('stats.endingCount', { count: count, percent: percent })
+        ));
+    });
+}
+
+function renderPaths(story, listId, paths) {
+    const list = document.getElementById(listId);
+    const template = document.getElementById('stats-path-template');
+    list.innerHTML = '';
+
+    if (paths.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'stats-empty';
+        empty.textContent = t('stats.noRuns');
+        list.appendChild(empty);
+        return;
+    }
+
+    paths.forEach(({ ending, path, count }) => {
+        const item = template.content.cloneNode(true).querySelector('.stats-path');
+        item.querySelector('.stats-path-ending').textContent = getEndingTitle(story, ending);
+        item.querySelector('.stats-path-count').textContent = t('stats.runCount', { count: count });
+        const steps = item.querySelector('.ending-card-path');
+        path.forEach(step => {
+            const stepItem = document.createElement('li');
+            stepItem.textContent = getChoiceText(story.nodes[step.node], step.choice);
+            steps.appendChild(stepItem);
+        });
+        list.appendChild(item);
+    });
+}
+
+function renderDecisionTimes(story, stats) {
+    const list = document.getElementById('stats-times');
+    const times = getDecisionTimes(stats).filter(({ node }) => story.nodes[node]);
+    list.innerHTML = '';
+
+    if (times.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'stats-empty';
+        empty.textContent = t('stats.noDecisions');
+        list.appendChild(empty);
+        return;
+    }
+
+    const slowest = times[0].average;
+    times.forEach(({ node: key, average, count }) => {
+        const node = story.nodes[key];
+        list.appendChild(createStatsRow(
+            `${story.chapters[node.chapter].title} · ${getFlowchartLabel(key, node)}`,
+            slowest ? (average / slowest) * 100 : 0,
+            t('stats.averageTime', { seconds: average.toFixed(1), count: count })
+        ));
+    });
+}
+
+function renderStats(story) {
+    const stats = getStats();
+    const paths = getPathFrequencies(stats);
+
+    document.getElementById('gallery-story').textContent = story.title;
+    document.getElementById('stats-summary').textContent =
+        t('stats.summary', { runs: stats.endings.length, decisions: stats.choices.length });
+    renderEndingFrequencies(story, stats);
+    renderPaths(story, 'stats-common-paths', paths.slice(0, STATS_PATH_COUNT));
+    // Paths already listed as common aren't repeated when there are only a few
+    renderPaths(story, 'stats-rare-paths', paths.slice(STATS_PATH_COUNT).slice(-STATS_PATH_COUNT).reverse());
+    renderDecisionTimes(story, stats);
+}
+
+function downloadFile(name, type, contents) {
+    const blob = new Blob([contents], { type: type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function setupExportButtons(story) {
+    document.getElementById('export-choices-btn').addEventListener('click', () => {
+        downloadFile(`${story.id}-choices.csv`, 'text/csv', choiceStatsToCsv(getStats()));
+    });
+    document.getElementById('export-endings-btn').addEventListener('click', () => {
+        downloadFile(`${story.id}-endings.csv`, 'text/csv', endingStatsToCsv(getStats()));
+    });
+    document.getElementById('export-json-btn').addEventListener('click', () => {
+        downloadFile(`${story.id}-stats.json`, 'application/json', `${JSON.stringify(getStats(), null, 4)}\n`);
+    });
+    document.getElementById('clear-stats-btn').addEventListener('click', () => {
+        if (confirm(t('stats.confirmClear'))) {
+            clearStats();
+            renderStats(story);
+        }
+    });
+}
+
+applyDisplaySettings();
+setupAppUpdates();
+loadLocale()
+    .then(loadStory)
+    .then(translateStory)
+    .then(story => {
+        setupExportButtons(story);
+        renderStats(story);
+    })
+    .catch(error => {
+        console.error('Error loading story:', error);
+        document.getElementById('stats-summary').textContent = t('stats.loadFailed');
+    });
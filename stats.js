@@ -0,0 +1,129 @@
+// Every choice and ending from every run on this device: the "what other plays
+// chose" split shown after a decision, and the statistics page (stats.html)
+
+const STATS_STORAGE_KEY = 'bandersnatch-stats';
+
+// The oldest records are dropped past this, so the log can't fill localStorage
+const MAX_STATS_RECORDS = 5000;
+
+// choices: [{ node, choice, to, seconds, at }], seconds being null when the choice wasn't timed
+// endings: [{ ending, path: [{ node, choice }], at }]
+function getStats() {
+    try {
+        const stats = JSON.parse(localStorage.getItem(getStoryStorageKey(STATS_STORAGE_KEY))) || {};
+        return { choices: stats.choices || [], endings: stats.endings || [] };
+    } catch (e) {
+        console.log("Error reading stats:", e);
+        return { choices: [], endings: [] };
+    }
+}
+
+function saveStats(stats) {
+    try {
+        localStorage.setItem(getStoryStorageKey(STATS_STORAGE_KEY), JSON.stringify({
+            choices: stats.choices.slice(-MAX_STATS_RECORDS),
+            endings: stats.endings.slice(-MAX_STATS_RECORDS)
+        }));
+    } catch (e) {
+        console.log("Error saving stats:", e);
+    }
+}
+
+function recordChoiceStat(nodeKey, choice, toKey, seconds) {
+    const stats = getStats();
+    stats.choices.push({ node: nodeKey, choice: choice, to: toKey, seconds: seconds, at: new Date().toISOString() });
+    saveStats(stats);
+}
+
+function recordEndingStat(endingKey, path) {
+    const stats = getStats();
+    stats.endings.push({
+        ending: endingKey,
+        path: path.map(step => ({ node: step.node, choice: step.choice })),
+        at: new Date().toISOString()
+    });
+    saveStats(stats);
+}
+
+function clearStats() {
+    localStorage.removeItem(getStoryStorageKey(STATS_STORAGE_KEY));
+}
+
+// How often each of labels was picked at nodeKey: [{ label, count, percent }]
+function getChoiceSplit(stats, nodeKey, labels) {
+    const counts = {};
+    labels.forEach(label => { counts[label] = 0; });
+    stats.choices.forEach(record => {
+        if (record.node === nodeKey && record.choice in counts) counts[record.choice]++;
+    });
+
+    const total = labels.reduce((sum, label) => sum + counts[label], 0);
+    return labels.map(label => ({
+        label: label,
+        count: counts[label],
+        percent: total ? Math.round((counts[label] / total) * 100) : 0
+    }));
+}
+
+// Finished runs grouped by the decisions that led to their ending, most common first
+function getPathFrequencies(stats) {
+    const paths = new Map();
+    stats.endings.forEach(record => {
+        const id = [...record.path.map(step => `${step.node}:${step.choice}`), record.ending].join('>');
+        if (!paths.has(id)) paths.set(id, { ending: record.ending, path: record.path, count: 0 });
+        paths.get(id).count++;
+    });
+    return [...paths.values()].sort((a, b) => b.count - a.count);
+}
+
+// Average seconds of the countdown used before deciding, per node, slowest first
+function getDecisionTimes(stats) {
+    const nodes = {};
+    stats.choices.forEach(record => {
+        if (typeof record.seconds !== 'number') return;
+        nodes[record.node] = nodes[record.node] || { node: record.node, total: 0, count: 0 };
+        nodes[record.node].total += record.seconds;
+        nodes[record.node].count++;
+    });
+    return Object.values(nodes)
+        .map(({ node, total, count }) => ({ node: node, average: total / count, count: count }))
+        .sort((a, b) => b.average - a.average);
+}
+
+// Ending key → number of runs that finished there
+function getEndingFrequencies(stats) {
+    const counts = {};
+    stats.endings.forEach(record => {
+        counts[record.ending] = (counts[record.ending] || 0) + 1;
+    });
+    return counts;
+}
+
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\n') + '\n';
+}
+
+function choiceStatsToCsv(stats) {
+    return toCsv(
+        ['at', 'node', 'choice', 'to', 'seconds'],
+        stats.choices.map(record => [record.at, record.node, record.choice, record.to, record.seconds])
+    );
+}
+
+// One row per finished run; the path is its decisions as node:choice, separated by " > "
+function endingStatsToCsv(stats) {
+    return toCsv(
+        ['at', 'ending', 'decisions', 'path'],
+        stats.endings.map(record => [
+            record.at,
+            record.ending,
+            record.path.length,
+            record.path.map(step => `${step.node}:${step.choice}`).join(' > ')
+        ])
+    );
+}
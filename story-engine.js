@@ -0,0 +1,295 @@
+// Headless game engine: the current node, its choices, story state, input
+// attempts and the choice countdown, without touching the DOM. story.js
+// renders it in the page; under Node it drives scripted playthroughs
+// (see tools/play-story.js).
+//
+// Events, each listener is called with one object:
+//   nodeEntered    { key, node, text, choices, cause, chapterChanged }
+//                  cause is 'start', 'choice', 'rewind', 'jump' or 'restore'
+//   choiceMade     { from, label, to }
+//   timerTick      { timeLeft, timeLimit }
+//   timeUp         { key, outcome, defaultChoice }
+//                  outcome is 'wrong' (input nodes), 'default' or 'over'
+//   inputRejected  { entry, attemptsLeft }
+//   endingReached  { key, ending, text, path }
+
+const StoryRules = typeof module !== 'undefined' && module.exports
+    ? require('./story-state.js')
+    : { createInitialState, normalizeChoice, applyChoiceEffects, getNodeText, getAvailableChoices, findInputAnswer };
+
+const DEFAULT_TIME_LIMIT = 60; // seconds, for nodes without their own timeLimit
+const DEFAULT_INPUT_ATTEMPTS = 3;
+const TIMER_INTERVAL = 1000; // ms per second of countdown
+
+class StoryEngine {
+    // options.timeUpDelay: ms between announcing a timed-out default choice and taking it
+    // options.timeScale: multiplies every node's time limit, 0 turns the countdown off
+    constructor(story, options = {}) {
+        this.story = story;
+        this.timeUpDelay = options.timeUpDelay || 0;
+        this.timeScale = options.timeScale === undefined ? 1 : options.timeScale;
+        this.listeners = {};
+
+        this.nodeKey = null;
+        this.path = []; // [{ node, choice, state }] for every choice made this run
+        this.state = {};
+        this.hardcore = false; // Hardcore runs can't rewind, fixed when the run starts
+        this.choices = []; // [{ label, target, choice }] available on the current node
+        this.attemptsLeft = 0; // For nodes with a keypad or text input
+        this.timeLeft = 0;
+        this.timer = null;
+        this.timerFrozen = false; // For debugging: the countdown shows but doesn't run
+        this.timeUpPending = false;
+        this.entryCount = 0; // Bumped on every node entry so delayed work can tell it's stale
+    }
+
+    on(event, listener) {
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+        return this;
+    }
+
+    off(event, listener) {
+        this.listeners[event] = (this.listeners[event] || []).filter(existing => existing !== listener);
+        return this;
+    }
+
+    emit(event, data) {
+        (this.listeners[event] || []).forEach(listener => listener(data));
+    }
+
+    get node() {
+        return this.story.nodes[this.nodeKey];
+    }
+
+    get chapter() {
+        return this.story.chapters[this.node.chapter].title;
+    }
+
+    get text() {
+        return StoryRules.getNodeText(this.node, this.state);
+    }
+
+    // 0 when the countdown is off
+    get timeLimit() {
+        return Math.ceil((this.node.timeLimit || DEFAULT_TIME_LIMIT) * this.timeScale);
+    }
+
+    get timed() {
+        return this.timeScale > 0 && !this.node.ending;
+    }
+
+    // Snapshot of the run, as stored in a save slot
+    getSnapshot() {
+        return {
+            nodeKey: this.nodeKey,
+            chapter: this.chapter,
+            path: this.path,
+            state: this.state,
+            hardcore: this.hardcore
+        };
+    }
+
+    // meta: the meta.* values remembered from earlier runs, fixed for this one
+    start(hardcore, meta = {}) {
+        this.restore({
+            nodeKey: this.story.start,
+            path: [],
+            state: StoryRules.createInitialState(this.story, meta),
+            hardcore: hardcore
+        }, 'start');
+    }
+
+    // Puts the run back into a snapshot from getSnapshot(), returns false if its node is gone
+    restore(snapshot, cause = 'restore') {
+        if (!this.story.nodes[snapshot.nodeKey]) return false;
+
+        this.path = Array.isArray(snapshot.path) ? [...snapshot.path] : [];
+        this.state = { ...StoryRules.createInitialState(this.story), ...(snapshot.state || {}) };
+        this.hardcore = Boolean(snapshot.hardcore);
+        this.enterNode(snapshot.nodeKey, cause);
+        return true;
+    }
+
+    enterNode(key, cause) {
+        this.stopTimer();
+        const previous = this.node;
+        this.nodeKey = key;
+        this.entryCount++;
+
+        const node = this.node;
+        this.choices = StoryRules.getAvailableChoices(node, this.state)
+            .filter(({ target }) => this.story.nodes[target]);
+        this.attemptsLeft = node.input ? (node.input.attempts || DEFAULT_INPUT_ATTEMPTS) : 0;
+        this.timeLeft = node.ending ? 0 : this.timeLimit;
+
+        const text = this.text;
+        this.emit('nodeEntered', {
+            key: key,
+            node: node,
+            text: text,
+            choices: this.choices,
+            cause: cause,
+            chapterChanged: !previous || previous.chapter !== node.chapter
+        });
+        if (node.ending) {
+            this.emit('endingReached', { key: key, ending: node.ending, text: text, path: this.path });
+        }
+    }
+
+    // Takes one of the current node's available choices, returns false if there's no such choice
+    choose(label) {
+        const option = this.choices.find(choice => choice.label === label);
+        if (!option) return false;
+
+        this.advance(option.target, label, option.choice);
+        return true;
+    }
+
+    // Records the decision, keeping the state from before it so rewinding can restore it
+    advance(target, label, choice) {
+        if (!this.story.nodes[target]) {
+            throw new Error(`Node "${target}" does not exist`);
+        }
+
+        this.stopTimer();
+        const from = this.nodeKey;
+        this.path.push({ node: from, choice: label, state: this.state });
+        this.state = StoryRules.applyChoiceEffects(choice || {}, this.state);
+        this.emit('choiceMade', { from: from, label: label, to: target });
+        this.enterNode(target, 'choice');
+    }
+
+    // Routes to the matching answer or uses up an attempt. Returns 'accepted',
+    // 'wrong' (attempts left), 'failed' (sent down the wrong route) or null if ignored.
+    submitInput(entry) {
+        const input = this.node.input;
+        if (!input || !String(entry).trim()) return null;
+
+        const answer = StoryRules.findInputAnswer(input, entry);
+        if (answer) {
+            this.advance(answer.choice.next, answer.label, answer.choice);
+            return 'accepted';
+        }
+
+        this.attemptsLeft--;
+        this.emit('inputRejected', { entry: entry, attemptsLeft: this.attemptsLeft });
+        if (this.attemptsLeft > 0) return 'wrong';
+
+        const wrong = StoryRules.normalizeChoice(input.wrong);
+        this.advance(wrong.next, `"${entry}"`, wrong);
+        return 'failed';
+    }
+
+    // Counts down from whatever timeLeft currently is, so stopping keeps the remaining time
+    startTimer() {
+        this.stopTimer();
+        if (!this.timed) return;
+        if (this.timeLeft <= 0) {
+            this.handleTimeUp();
+            return;
+        }
+
+        this.emit('timerTick', { timeLeft: this.timeLeft, timeLimit: this.timeLimit });
+        if (this.timerFrozen) return;
+        this.timer = setInterval(() => this.tick(), TIMER_INTERVAL);
+    }
+
+    // Holds every countdown where it stands until unfrozen; tick() still works
+    freezeTimer(frozen) {
+        this.timerFrozen = frozen;
+        if (frozen) this.stopTimer();
+    }
+
+    // Takes effect on the current node too: the time left is rescaled, or
+    // restarts from the full limit when the countdown was off
+    setTimeScale(scale) {
+        const previous = this.timeScale;
+        this.timeScale = scale;
+        if (!scale) {
+            this.stopTimer();
+            this.timeLeft = 0;
+        } else if (this.nodeKey && !this.node.ending) {
+            this.timeLeft = previous ? Math.ceil(this.timeLeft * scale / previous) : this.timeLimit;
+        }
+    }
+
+    // Also cancels a default choice that's waiting out timeUpDelay; it's taken
+    // when the timer starts again
+    stopTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.timeUpPending = false;
+    }
+
+    // One second of countdown. Call it directly to drive the engine without a clock.
+    tick() {
+        if (this.timeLeft <= 0) return;
+
+        this.timeLeft--;
+        this.emit('timerTick', { timeLeft: this.timeLeft, timeLimit: this.timeLimit });
+        if (this.timeLeft <= 0) {
+            this.stopTimer();
+            this.handleTimeUp();
+        }
+    }
+
+    // Running out of time on a keypad or password counts as getting it wrong;
+    // otherwise the node's default choice is taken if it has one, or the run is over
+    handleTimeUp() {
+        const key = this.nodeKey;
+        const node = this.node;
+
+        if (node.input) {
+            this.emit('timeUp', { key: key, outcome: 'wrong', defaultChoice: null });
+            const wrong = StoryRules.normalizeChoice(node.input.wrong);
+            this.advance(wrong.next, 'Ran out of time', wrong);
+            return;
+        }
+
+        const defaultChoice = this.choices.find(choice => choice.label === node.defaultChoice);
+        if (!defaultChoice) {
+            this.emit('timeUp', { key: key, outcome: 'over', defaultChoice: null });
+            return;
+        }
+
+        this.emit('timeUp', { key: key, outcome: 'default', defaultChoice: defaultChoice.label });
+        if (!this.timeUpDelay) {
+            this.choose(defaultChoice.label);
+            return;
+        }
+
+        const entry = this.entryCount;
+        this.timeUpPending = true;
+        setTimeout(() => {
+            if (this.timeUpPending && this.entryCount === entry) {
+                this.timeUpPending = false;
+                this.choose(defaultChoice.label);
+            }
+        }, this.timeUpDelay);
+    }
+
+    // Back to the decision made at path[index], with the state from before it
+    rewindTo(index) {
+        const step = this.path[index];
+        if (this.hardcore || !step || !this.story.nodes[step.node]) return false;
+
+        this.path = this.path.slice(0, index);
+        this.state = { ...StoryRules.createInitialState(this.story), ...(step.state || {}) };
+        this.enterNode(step.node, 'rewind');
+        return true;
+    }
+
+    // Any node with the given state, starting a fresh path from there
+    jumpTo(key, state) {
+        if (this.hardcore || !this.story.nodes[key]) return false;
+
+        this.path = [];
+        this.state = { ...StoryRules.createInitialState(this.story), ...(state || {}) };
+        this.enterNode(key, 'jump');
+        return true;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StoryEngine, DEFAULT_TIME_LIMIT, DEFAULT_INPUT_ATTEMPTS };
+}
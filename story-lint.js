@@ -0,0 +1,183 @@
+// Story graph checks: broken choice targets, unreachable nodes and endings,
+// and loops the player can never leave. Used by the story editor and by
+// tools/lint-story.js under Node.
+
+const StoryLintRules = typeof module !== 'undefined' && module.exports
+    ? { ...require('./story-loader.js'), ...require('./story-state.js') }
+    : { getNodeChoiceValues, normalizeChoice };
+
+// Text shorter than this is almost certainly a placeholder
+const MIN_TEXT_WORDS = 6;
+// Text broken over this many lines with no line ending a sentence reads like
+// jotted-down notes rather than finished prose
+const MIN_NOTE_LINES = 3;
+const SENTENCE_END_PATTERN = /[.!?…]["'”)]?$/;
+
+function getChoiceTarget(value) {
+    return StoryLintRules.normalizeChoice(value).next;
+}
+
+// Choice targets that exist in the story, keyed by node. Conditional choices
+// count as edges whatever their condition, so reachability is optimistic.
+function buildGraph(story) {
+    const graph = {};
+    Object.entries(story.nodes).forEach(([key, node]) => {
+        graph[key] = StoryLintRules.getNodeChoiceValues(node)
+            .map(getChoiceTarget)
+            .filter(target => story.nodes[target]);
+    });
+    return graph;
+}
+
+function isPlaceholderText(text) {
+    if (text.trim().split(/\s+/).length < MIN_TEXT_WORDS) return true;
+
+    const lines = text.split('\n').map(line => line.trim()).filter(line => line);
+    return lines.length >= MIN_NOTE_LINES && !lines.some(line => SENTENCE_END_PATTERN.test(line));
+}
+
+function findReachable(graph, startKey) {
+    const reachable = new Set([startKey]);
+    const queue = [startKey];
+    while (queue.length > 0) {
+        graph[queue.shift()].forEach(target => {
+            if (!reachable.has(target)) {
+                reachable.add(target);
+                queue.push(target);
+            }
+        });
+    }
+    return reachable;
+}
+
+// Nodes from which at least one ending can be reached
+function findNodesReachingEnding(story, graph) {
+    const reverse = {};
+    Object.keys(graph).forEach(key => { reverse[key] = []; });
+    Object.entries(graph).forEach(([key, targets]) => {
+        targets.forEach(target => reverse[target].push(key));
+    });
+
+    const endingKeys = Object.keys(story.nodes).filter(key => story.nodes[key].ending);
+    const reaching = new Set(endingKeys);
+    const queue = [...endingKeys];
+    while (queue.length > 0) {
+        reverse[queue.shift()].forEach(source => {
+            if (!reaching.has(source)) {
+                reaching.add(source);
+                queue.push(source);
+            }
+        });
+    }
+    return reaching;
+}
+
+// Tarjan's algorithm; returns the strongly connected components that form loops
+function findLoops(graph, keys) {
+    let index = 0;
+    const indices = {};
+    const lowLinks = {};
+    const onStack = new Set();
+    const stack = [];
+    const loops = [];
+
+    function visit(key) {
+        indices[key] = lowLinks[key] = index++;
+        stack.push(key);
+        onStack.add(key);
+
+        graph[key].forEach(target => {
+            if (indices[target] === undefined) {
+                visit(target);
+                lowLinks[key] = Math.min(lowLinks[key], lowLinks[target]);
+            } else if (onStack.has(target)) {
+                lowLinks[key] = Math.min(lowLinks[key], indices[target]);
+            }
+        });
+
+        if (lowLinks[key] === indices[key]) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== key);
+
+            if (component.length > 1 || graph[key].includes(key)) {
+                loops.push(component.reverse());
+            }
+        }
+    }
+
+    keys.forEach(key => {
+        if (indices[key] === undefined) visit(key);
+    });
+    return loops;
+}
+
+function lintStory(story) {
+    const problems = [];
+    const report = (level, node, message) => problems.push({ level, node, message });
+
+    const graph = buildGraph(story);
+    // A missing start node is already a validation error; everything is unreachable then
+    const reachable = story.nodes[story.start] ? findReachable(graph, story.start) : new Set();
+    const reachingEnding = findNodesReachingEnding(story, graph);
+
+    Object.entries(story.nodes).forEach(([key, node]) => {
+        Object.entries(node.choices || {}).forEach(([label, value]) => {
+            const target = getChoiceTarget(value);
+            if (!story.nodes[target]) {
+                report('error', key, `choice "${label}" points to missing node "${target}"`);
+            }
+        });
+
+        if (node.input) {
+            Object.entries(node.input.answers).forEach(([answer, value]) => {
+                const target = getChoiceTarget(value);
+                if (!story.nodes[target]) {
+                    report('error', key, `answer "${answer}" points to missing node "${target}"`);
+                }
+            });
+            const wrongTarget = getChoiceTarget(node.input.wrong);
+            if (!story.nodes[wrongTarget]) {
+                report('error', key, `wrong answers point to missing node "${wrongTarget}"`);
+            }
+        }
+
+        const defaultValue = node.defaultChoice && node.choices && node.choices[node.defaultChoice];
+        if (defaultValue && !story.nodes[getChoiceTarget(defaultValue)]) {
+            report('error', key, `default choice "${node.defaultChoice}" is broken, timing out will end the run`);
+        }
+
+        if ((node.choices || node.input) && graph[key].length === 0) {
+            report('error', key, 'every choice is broken, the player is stuck here');
+        }
+
+        if (!reachable.has(key)) {
+            report(node.ending ? 'error' : 'warning', key,
+                node.ending ? 'ending can never be reached' : `unreachable from "${story.start}"`);
+        } else if (!reachingEnding.has(key) && graph[key].length > 0) {
+            report('error', key, 'no ending can be reached from here');
+        }
+
+        if (isPlaceholderText(node.text)) {
+            report('warning', key, `text looks like a placeholder: ${JSON.stringify(node.text)}`);
+        }
+    });
+
+    const reachableKeys = Object.keys(graph).filter(key => reachable.has(key));
+    findLoops(graph, reachableKeys).forEach(loop => {
+        const hasExit = loop.some(key => reachingEnding.has(key));
+        if (!hasExit) {
+            report('error', loop[0], `loop with no exit: ${loop.join(' -> ')}`);
+        }
+    });
+
+    return problems;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { lintStory };
+}
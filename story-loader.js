@@ -0,0 +1,385 @@
+// Loads a story file and validates it against stories/story.schema.json
+// (see stories/README.md for the format). Also usable from Node for tooling.
+
+// Stories listed on the landing page, by id; each one is stories/<id>.json
+const STORY_LIBRARY_URL = 'stories/library.json';
+const DEFAULT_STORY_ID = 'bandersnatch';
+const DEFAULT_STORY_URL = getStoryUrl(DEFAULT_STORY_ID);
+const STORY_SCHEMA_URL = 'stories/story.schema.json';
+const STORY_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// The story editor's working copy, played by story.html?preview=<node>
+const DRAFT_STORAGE_KEY = 'bandersnatch-editor-draft';
+
+// Variables filled in from earlier runs at the start of each run (meta-state.js).
+// Stories read them in conditions without declaring them, and can't change them.
+const META_STATE_PREFIX = 'meta.';
+
+class StoryValidationError extends Error {
+    constructor(problems) {
+        super(`Story file is invalid (${problems.length} problem${problems.length === 1 ? '' : 's'})`);
+        this.name = 'StoryValidationError';
+        this.problems = problems;
+    }
+}
+
+function schemaTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function resolveSchemaRef(schema, rootSchema) {
+    if (!schema.$ref) return schema;
+    // Only local refs of the form "#/definitions/name" are supported
+    const name = schema.$ref.replace('#/definitions/', '');
+    return rootSchema.definitions[name];
+}
+
+// Checks value against the subset of JSON Schema used by story.schema.json,
+// pushing a readable message onto problems for every mismatch
+function validateAgainstSchema(value, schema, rootSchema, path, problems) {
+    schema = resolveSchemaRef(schema, rootSchema);
+    const actualType = schemaTypeOf(value);
+
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(option => {
+            const optionProblems = [];
+            validateAgainstSchema(value, option, rootSchema, path, optionProblems);
+            return optionProblems.length === 0;
+        });
+        if (!matches) problems.push(`${path} does not match any allowed form`);
+        return;
+    }
+
+    if (schema.type) {
+        const typeMatches = schema.type === actualType ||
+            (schema.type === 'number' && actualType === 'integer');
+        if (!typeMatches) {
+            problems.push(`${path} should be ${schema.type} but is ${actualType}`);
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${path} should be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        problems.push(`${path} should not be empty`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        problems.push(`${path} should be at least ${schema.minimum}`);
+    }
+
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            validateAgainstSchema(item, schema.items, rootSchema, `${path}[${index}]`, problems);
+        });
+    }
+
+    if (actualType !== 'object') return;
+
+    const keys = Object.keys(value);
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+        if (!(key in value)) problems.push(`${path} is missing "${key}"`);
+    });
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+        problems.push(`${path} should have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+    }
+
+    keys.forEach(key => {
+        const childPath = `${path}.${key}`;
+        if (properties[key]) {
+            validateAgainstSchema(value[key], properties[key], rootSchema, childPath, problems);
+        } else if (schema.additionalProperties === false) {
+            problems.push(`${path} has unknown property "${key}"`);
+        } else if (typeof schema.additionalProperties === 'object') {
+            validateAgainstSchema(value[key], schema.additionalProperties, rootSchema, childPath, problems);
+        }
+    });
+}
+
+// Everything a node can lead to: its choices, or its input's answers and wrong route
+function getNodeChoiceValues(node) {
+    if (node.input) {
+        return [...Object.values(node.input.answers), node.input.wrong];
+    }
+    return Object.values(node.choices || {});
+}
+
+// State variable names read by a node's conditions and written by its choices' effects
+function getStateNamesUsed(node) {
+    const read = [];
+    const written = [];
+    (node.variants || []).forEach(variant => read.push(...Object.keys(variant.if)));
+    getNodeChoiceValues(node).forEach(choice => {
+        if (typeof choice === 'string') return;
+        read.push(...Object.keys(choice.if || {}));
+        written.push(...Object.keys(choice.set || {}), ...Object.keys(choice.add || {}));
+    });
+    return { read, written };
+}
+
+function isMetaStateName(name) {
+    return name.startsWith(META_STATE_PREFIX);
+}
+
+// meta.runs and meta.endings count earlier runs and the different endings reached;
+// meta.seen.<node> and meta.ending.<ending node> are true once seen or reached
+function isKnownMetaStateName(story, name) {
+    if (name === 'meta.runs' || name === 'meta.endings') return true;
+    const [, kind, key] = name.match(/^meta\.(seen|ending)\.(.+)$/) || [];
+    const node = story.nodes[key];
+    return Boolean(node) && (kind === 'seen' || Boolean(node.ending));
+}
+
+// The meta.* variables a story reads anywhere, so a run only carries those
+function getMetaStateNamesUsed(story) {
+    const names = new Set();
+    Object.values(story.nodes).forEach(node => {
+        getStateNamesUsed(node).read.filter(isMetaStateName).forEach(name => names.add(name));
+    });
+    return [...names];
+}
+
+// Cross-references the schema can't express. Broken choice targets are left
+// to the linter (story-lint.js) so a typo doesn't stop the whole game from loading.
+function validateStoryReferences(story, problems) {
+    if (!story.nodes[story.start]) {
+        problems.push(`start node "${story.start}" does not exist`);
+    }
+
+    const endingNumbers = {};
+    const declaredState = story.state || {};
+    Object.entries(story.nodes).forEach(([key, node]) => {
+        if (!story.chapters[node.chapter]) {
+            problems.push(`story.nodes.${key} uses unknown chapter "${node.chapter}"`);
+        }
+        const outcomes = ['choices', 'input', 'ending'].filter(field => node[field]);
+        if (outcomes.length !== 1) {
+            problems.push(`story.nodes.${key} needs exactly one of choices, input or ending`);
+        }
+        if (node.input && node.input.type === 'keypad') {
+            Object.keys(node.input.answers).forEach(answer => {
+                if (!/^[\d\s-]+$/.test(answer)) {
+                    problems.push(`story.nodes.${key} keypad answer "${answer}" can only contain digits`);
+                }
+            });
+        }
+        const { read, written } = getStateNamesUsed(node);
+        read.forEach(name => {
+            if (isMetaStateName(name) && !isKnownMetaStateName(story, name)) {
+                problems.push(`story.nodes.${key} uses "${name}" which is not a meta variable of this story`);
+            } else if (!isMetaStateName(name) && !(name in declaredState)) {
+                problems.push(`story.nodes.${key} uses state "${name}" which is not declared in story.state`);
+            }
+        });
+        written.forEach(name => {
+            if (isMetaStateName(name)) {
+                problems.push(`story.nodes.${key} changes "${name}", which only earlier runs can set`);
+            } else if (!(name in declaredState)) {
+                problems.push(`story.nodes.${key} uses state "${name}" which is not declared in story.state`);
+            }
+        });
+        if (node.voice && !(story.voices && story.voices[node.voice])) {
+            problems.push(`story.nodes.${key} uses voice "${node.voice}" which is not declared in story.voices`);
+        }
+        if (node.defaultChoice && !(node.choices && node.defaultChoice in node.choices)) {
+            problems.push(`story.nodes.${key} has defaultChoice "${node.defaultChoice}" which is not one of its choices`);
+        }
+        if (node.ending) {
+            const number = node.ending.number;
+            if (endingNumbers[number]) {
+                problems.push(`story.nodes.${key} reuses ending number ${number} from "${endingNumbers[number]}"`);
+            }
+            endingNumbers[number] = key;
+        }
+    });
+
+    Object.entries(story.achievements || {}).forEach(([id, achievement]) => {
+        if (Boolean(achievement.visit) === Boolean(achievement.ending)) {
+            problems.push(`story.achievements.${id} needs exactly one of visit or ending`);
+        }
+        if (Array.isArray(achievement.visit)) {
+            achievement.visit.filter(key => !story.nodes[key]).forEach(key => {
+                problems.push(`story.achievements.${id} visits "${key}" which does not exist`);
+            });
+        }
+        ((achievement.ending && achievement.ending.endings) || []).forEach(key => {
+            if (!(story.nodes[key] && story.nodes[key].ending)) {
+                problems.push(`story.achievements.${id} names "${key}" which is not an ending`);
+            }
+        });
+    });
+}
+
+// Returns a list of problems; an empty list means the story is valid
+function validateStory(story, schema) {
+    const problems = [];
+    validateAgainstSchema(story, schema, schema, 'story', problems);
+    if (problems.length === 0) {
+        validateStoryReferences(story, problems);
+    }
+    return problems;
+}
+
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load ${url} (${response.status})`);
+    }
+    try {
+        return await response.json();
+    } catch (e) {
+        throw new StoryValidationError([`${url} is not valid JSON: ${e.message}`]);
+    }
+}
+
+function getStoryUrl(storyId) {
+    return `stories/${storyId}.json`;
+}
+
+// The story picked on the landing page (story.html?story=<id>); pages opened
+// without one, and links from before there was a library, get Bandersnatch
+function getSelectedStoryId() {
+    const storyId = new URLSearchParams(window.location.search).get('story');
+    return storyId && STORY_ID_PATTERN.test(storyId) ? storyId : DEFAULT_STORY_ID;
+}
+
+// Link to one of the story's pages with extra query parameters,
+// e.g. getStoryLink('story.html', { chapter: 'crunch' })
+function getStoryLink(page, params = {}, storyId = getSelectedStoryId()) {
+    const query = new URLSearchParams({ story: storyId, ...params });
+    return `${page}?${query}`;
+}
+
+// Each story keeps its own saves, endings and progress. Bandersnatch keeps the
+// keys it had before there was a library so existing players don't lose theirs.
+function getStoryStorageKey(key, storyId = getSelectedStoryId()) {
+    return storyId === DEFAULT_STORY_ID ? key : `${key}-${storyId}`;
+}
+
+async function loadStoryLibrary() {
+    const library = await fetchJson(STORY_LIBRARY_URL);
+    return (library.stories || []).filter(storyId => STORY_ID_PATTERN.test(storyId));
+}
+
+async function loadStory(storyId = getSelectedStoryId()) {
+    const url = getStoryUrl(storyId);
+    const [story, schema] = await Promise.all([fetchJson(url), fetchJson(STORY_SCHEMA_URL)]);
+    const problems = validateStory(story, schema);
+    // Progress and translations are found by id, so it has to match the file name
+    if (problems.length === 0 && story.id !== storyId) {
+        problems.push(`story.id is "${story.id}" but the file is ${url}`);
+    }
+    if (problems.length > 0) {
+        throw new StoryValidationError(problems);
+    }
+    return story;
+}
+
+function readDraftStory() {
+    try {
+        return JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY));
+    } catch (e) {
+        console.log("Error reading draft story:", e);
+        return null;
+    }
+}
+
+function writeDraftStory(story) {
+    try {
+        localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(story));
+        return true;
+    } catch (e) {
+        console.log("Error saving draft story:", e);
+        return false;
+    }
+}
+
+// Like loadStory(), for the editor's draft
+async function loadDraftStory() {
+    const story = readDraftStory();
+    if (!story) {
+        throw new StoryValidationError(['There is no story open in the editor']);
+    }
+    const problems = validateStory(story, await fetchJson(STORY_SCHEMA_URL));
+    if (problems.length > 0) {
+        throw new StoryValidationError(problems);
+    }
+    return story;
+}
+
+// Copy of story with a translation's text in place of the original, see
+// "Translations" in stories/README.md. Whatever the translation leaves out keeps
+// its original text. Choice labels stay as they are, so saves and paths still
+// match; their translations go in node.labels for getChoiceText().
+function localizeStory(story, translation) {
+    const localized = { ...story, chapters: { ...story.chapters }, nodes: { ...story.nodes } };
+    if (translation.title) localized.title = translation.title;
+    if (translation.description) localized.description = translation.description;
+    if (story.achievements && translation.achievements) {
+        localized.achievements = { ...story.achievements };
+        Object.entries(translation.achievements).forEach(([id, text]) => {
+            const original = story.achievements[id];
+            if (!original) return;
+            localized.achievements[id] = {
+                ...original,
+                title: text.title || original.title,
+                description: text.description || original.description
+            };
+        });
+    }
+
+    Object.entries(translation.chapters || {}).forEach(([chapterId, chapter]) => {
+        const original = story.chapters[chapterId];
+        if (!original) return;
+        localized.chapters[chapterId] = {
+            ...original,
+            title: chapter.title || original.title,
+            ...(original.date && chapter.date ? { date: chapter.date } : {})
+        };
+    });
+
+    Object.entries(translation.nodes || {}).forEach(([key, text]) => {
+        const node = story.nodes[key];
+        if (!node) return;
+
+        const copy = { ...node };
+        if (text.text) copy.text = text.text;
+        if (node.variants && Array.isArray(text.variants)) {
+            copy.variants = node.variants.map((variant, index) =>
+                (text.variants[index] ? { ...variant, text: text.variants[index] } : variant));
+        }
+        if (node.input && text.prompt) copy.input = { ...node.input, prompt: text.prompt };
+        if (node.ending && text.ending) {
+            copy.ending = {
+                ...node.ending,
+                title: text.ending.title || node.ending.title,
+                ...(text.ending.hint ? { hint: text.ending.hint } : {})
+            };
+        }
+        if (text.choices) copy.labels = { ...text.choices };
+        localized.nodes[key] = copy;
+    });
+    return localized;
+}
+
+// A choice label as the player sees it, translated if the story has been localized
+function getChoiceText(node, label) {
+    return (node && node.labels && node.labels[label]) || label;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        StoryValidationError,
+        validateStory,
+        getNodeChoiceValues,
+        getMetaStateNamesUsed,
+        localizeStory,
+        getChoiceText
+    };
+}
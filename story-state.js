@@ -0,0 +1,89 @@
+// Story state: variables set by choices, and the conditions that read them.
+// See "State and conditions" in stories/README.md. Also usable from Node.
+
+const CONDITION_OPERATORS = {
+    eq: (value, expected) => value === expected,
+    ne: (value, expected) => value !== expected,
+    lt: (value, expected) => value < expected,
+    lte: (value, expected) => value <= expected,
+    gt: (value, expected) => value > expected,
+    gte: (value, expected) => value >= expected
+};
+
+// meta holds the meta.* values for the run (see meta-state.js)
+function createInitialState(story, meta = {}) {
+    return { ...(story.state || {}), ...meta };
+}
+
+// A choice is either a target node key or { next, if, set, add }
+function normalizeChoice(value) {
+    return typeof value === 'string' ? { next: value } : value;
+}
+
+// Every entry in the condition must hold. A plain value means "equals",
+// an object uses operators, e.g. { "tookPills": true, "trust": { "gte": 1 } }
+function evaluateCondition(condition, state) {
+    if (!condition) return true;
+
+    return Object.entries(condition).every(([name, expected]) => {
+        const value = state[name];
+        if (expected === null || typeof expected !== 'object') {
+            return value === expected;
+        }
+        return Object.entries(expected).every(([operator, operand]) =>
+            CONDITION_OPERATORS[operator](value, operand)
+        );
+    });
+}
+
+// Returns a new state with the choice's "set" and "add" effects applied
+function applyChoiceEffects(choice, state) {
+    const nextState = { ...state, ...(choice.set || {}) };
+    Object.entries(choice.add || {}).forEach(([name, amount]) => {
+        nextState[name] = (nextState[name] || 0) + amount;
+    });
+    return nextState;
+}
+
+// The first text variant whose condition holds replaces the node's text
+function getNodeText(node, state) {
+    const variant = (node.variants || []).find(option => evaluateCondition(option.if, state));
+    return variant ? variant.text : node.text;
+}
+
+// Choices whose condition holds, as [{ label, target, choice }]
+function getAvailableChoices(node, state) {
+    return Object.entries(node.choices || {})
+        .map(([label, value]) => ({ label, choice: normalizeChoice(value) }))
+        .filter(({ choice }) => evaluateCondition(choice.if, state))
+        .map(({ label, choice }) => ({ label, target: choice.next, choice }));
+}
+
+// Input nodes compare entries ignoring case, spaces and punctuation,
+// so "2-0-5-4-1" matches "20541" and "toy" matches "TOY"
+function normalizeAnswer(text) {
+    return String(text).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// The accepted answer an entry matches, as { label, choice }, or null
+function findInputAnswer(input, entry) {
+    const normalized = normalizeAnswer(entry);
+    if (!normalized) return null;
+
+    const label = Object.keys(input.answers).find(answer => normalizeAnswer(answer) === normalized);
+    return label ? { label, choice: normalizeChoice(input.answers[label]) } : null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONDITION_OPERATORS,
+        createInitialState,
+        normalizeChoice,
+        evaluateCondition,
+        applyChoiceEffects,
+        getNodeText,
+        getAvailableChoices,
+        normalizeAnswer,
+        findInputAnswer
+    };
+}
@@ -1,9 +1,25 @@
-// setup Timer and Voice Recognition
+// Renders the game engine (story-engine.js) in the page, with voice commands
 
-let currentNodeKey = "start";
-let currentChapter = 'Start';
-let timer = null;
-const CHOICE_TIME = 60; // seconds
+let engine = null; // StoryEngine, created once the story has loaded
+let previewMode = false; // Playing the editor's draft: nothing is saved or unlocked
+let replayMode = false; // Playing back a recording (replay.js): nothing is saved, unlocked or recorded
+let debugMode = false; // Debug overlay open (debug.js): nothing is saved or unlocked
+let currentChoices = []; // [{ label, text, target, button }] currently on screen, text as shown
+let pendingChoiceSplit = null; // How past plays split on the decision just made, shown with the next node
+
+// How long the default choice is highlighted before it is taken on timeout
+const DEFAULT_CHOICE_DELAY = 1500; // ms
+
+// Remaining seconds at which the timer is announced to screen readers
+const TIMER_ANNOUNCEMENTS = [30, 10, 5];
+
+// How long a chapter's title card stays up when the chapter starts
+const CHAPTER_CARD_TIME = 2500; // ms
+
+// Achievements are announced after any alert the same moment raised, like a new ending
+const ACHIEVEMENT_ALERT_DELAY = 2000; // ms
+
+const KEYPAD_MAX_LENGTH = 8;
 
 // Add a flag to prevent multiple popups
 let isPaused = false;
@@ -17,6 +33,17 @@ let mediaStream = null;
 let recognitionRestartAttempts = 0;
 const MAX_RESTART_ATTEMPTS = 5;
 let lastRecognitionTime = 0;
+let voiceAlertShown = false;
+let voiceEnabled = false; // Set once the player has clicked to allow the microphone
+
+// How long a recognized voice command is highlighted before it runs
+const VOICE_CONFIRM_DELAY = 800; // ms
+// The spoken choice or entry waiting out VOICE_CONFIRM_DELAY, cancelled by pausing
+let voiceConfirmTimeout = null;
+
+// The recognizer is off while narration plays so it doesn't hear the game talking;
+// it waits a little longer after narration ends in case the speakers echo
+const NARRATION_ECHO_DELAY = 400; // ms
 
 function setupVoiceRecognition() {
     // Check for Chrome's implementation
@@ -24,35 +51,39 @@ function setupVoiceRecognition() {
         return;
     }
 
+    // Narration restarts the recognizer when it finishes
+    if (isNarrating() || !getSettings().voiceCommands) {
+        return;
+    }
+
     // Always create a new recognition instance
     recognition = new webkitSpeechRecognition();
     
     // Basic settings
     recognition.continuous = false;
     recognition.interimResults = false;
-    recognition.lang = 'en-US';
+    recognition.maxAlternatives = 3;
+    recognition.lang = getSpeechLanguage();
 
     recognition.onresult = (event) => {
-        const transcript = event.results[0][0].transcript.toLowerCase().trim();
-        console.log('Recognized:', transcript);
-        
-        if (transcript === "stop") {
-            showPausePopup();
-        }
+        if (isNarrating()) return;
+        const transcripts = Array.from(event.results[0]).map(alternative => alternative.transcript.trim());
+        console.log('Recognized:', transcripts);
+        handleVoiceCommand(transcripts);
     };
 
     recognition.onstart = () => {
         isListening = true;
-        showAlert('Voice commands enabled (say "stop" to pause)');
+        if (!voiceAlertShown) {
+            voiceAlertShown = true;
+            showAlert(t('voice.enabled'));
+        }
     };
 
+    // Keep listening while paused too, so "resume" works
     recognition.onend = () => {
         isListening = false;
-        
-        // If we're not paused, create a new recognition instance
-        if (!isPaused) {
-            setTimeout(setupVoiceRecognition, 100);
-        }
+        if (!isNarrating()) setTimeout(setupVoiceRecognition, 100);
     };
 
     // Start recognition
@@ -64,12 +95,175 @@ function setupVoiceRecognition() {
     }
 }
 
-function handleVoiceCommand(text) {
-    if (isPaused) return;
-    
-    if (text.includes('stop')) {
-        showPausePopup();
+// Tries each recognition alternative until one matches a choice or command
+function handleVoiceCommand(transcripts) {
+    recordEvent('voice', { transcripts: transcripts });
+    const labels = currentChoices.map(choice => choice.text);
+    const input = engine && engine.node && engine.node.input;
+
+    if (input && !isPaused) {
+        handleVoiceEntry(transcripts, input);
+        return;
+    }
+
+    for (const transcript of transcripts) {
+        // Only global commands make sense while a popup is covering the choices
+        const match = interpretVoiceTranscript(transcript, isPaused ? [] : labels, getLocale());
+        if (match) {
+            confirmVoiceMatch(match);
+            return;
+        }
+    }
+
+    if (!isPaused) {
+        showAlert(t('voice.notCaught', { transcript: transcripts[0] }));
+    }
+}
+
+// On input nodes anything that isn't a global command is typed in as an entry
+function handleVoiceEntry(transcripts, input) {
+    for (const transcript of transcripts) {
+        const match = interpretVoiceTranscript(transcript, [], getLocale());
+        if (match) {
+            confirmVoiceMatch(match);
+            return;
+        }
     }
+
+    // Prefer an alternative that is an accepted answer, in case the first was misheard
+    const entry = transcripts.find(transcript => findInputAnswer(input, normalizeVoiceText(transcript, getLocale()))) || transcripts[0];
+    const field = document.querySelector('.input-panel .input-field');
+    if (!field) return;
+
+    field.value = input.type === 'keypad'
+        ? normalizeVoiceText(entry, getLocale()).replace(/\D/g, '').slice(0, KEYPAD_MAX_LENGTH)
+        : entry;
+    field.classList.add('voice-selected');
+    showAlert(t('voice.heard', { text: entry }));
+    voiceConfirmTimeout = setTimeout(() => {
+        voiceConfirmTimeout = null;
+        if (field.isConnected && !isPaused) {
+            field.classList.remove('voice-selected');
+            asSpokenChoice(() => submitInputEntry(field.value));
+        }
+    }, VOICE_CONFIRM_DELAY);
+}
+
+// Highlight what was heard, then act on it
+function confirmVoiceMatch(match) {
+    if (match.type === 'choice') {
+        const choice = currentChoices[match.index];
+        engine.stopTimer();
+        choice.button.classList.add('voice-selected');
+        showAlert(t('voice.heard', { text: choice.text }));
+        voiceConfirmTimeout = setTimeout(() => {
+            voiceConfirmTimeout = null;
+            // The node may have changed or the game been paused while we were waiting
+            if (choice.button.isConnected && !isPaused) asSpokenChoice(() => choice.button.click());
+        }, VOICE_CONFIRM_DELAY);
+        return;
+    }
+
+    showAlert(t('voice.command', { command: t(`voice.command.${match.command}`) }));
+    setTimeout(() => runVoiceCommand(match.command), VOICE_CONFIRM_DELAY);
+}
+
+// Drops a spoken choice or entry that hasn't been carried out yet
+function cancelVoiceConfirm() {
+    clearTimeout(voiceConfirmTimeout);
+    voiceConfirmTimeout = null;
+    document.querySelectorAll('.voice-selected').forEach(element => element.classList.remove('voice-selected'));
+}
+
+function runVoiceCommand(command) {
+    switch (command) {
+        case 'pause':
+            showPausePopup();
+            break;
+        case 'resume':
+            if (isPaused) resumeGame();
+            break;
+        case 'restart':
+            requestRestart();
+            break;
+        case 'menu':
+            requestReturnToMenu();
+            break;
+        case 'repeat':
+            repeatCurrentNode();
+            break;
+        case 'back':
+            if (!isPaused) goBack();
+            break;
+    }
+}
+
+// Read back the available options for the current node
+function repeatCurrentNode() {
+    if (isPaused || currentChoices.length === 0) return;
+    const options = currentChoices.map((choice, index) => `${index + 1}. ${choice.text}`);
+    showAlert(t('voice.options', { options: options.join(', ') }));
+    document.getElementById('story').scrollIntoView({ behavior: 'smooth' });
+
+    // Hold the countdown again while the node is read out, unless it has already run out
+    if (isNarrationEnabled() && (engine.timeLeft > 0 || !engine.timed)) {
+        engine.stopTimer();
+        narrateNode(engine.text, engine.node, () => {
+            if (!isPaused) engine.startTimer();
+        });
+    }
+}
+
+function stopListening() {
+    if (recognition) recognition.abort();
+}
+
+// Voice commands switched on or off, or their language changed
+function updateVoiceRecognition() {
+    if (isListening) {
+        // Restarts with the new language when it ends, unless voice commands are now off
+        recognition.abort();
+    } else if (voiceEnabled) {
+        setupVoiceRecognition();
+    }
+}
+
+function resumeListening() {
+    if (!voiceEnabled) return;
+    setTimeout(() => {
+        if (!isListening && !isNarrating()) setupVoiceRecognition();
+    }, NARRATION_ECHO_DELAY);
+}
+
+// Narrates parts (see narrate() in narration.js) with the recognizer off
+function speak(parts, onDone) {
+    if (!isNarrationEnabled()) {
+        if (onDone) onDone();
+        return;
+    }
+    stopListening();
+    narrate(parts, () => {
+        resumeListening();
+        if (onDone) onDone();
+    });
+}
+
+function stopNarration() {
+    if (!isNarrating()) return;
+    cancelNarration();
+    resumeListening();
+}
+
+// Reads the node's text in its story voice, then the choices or input prompt
+function narrateNode(text, node, onDone) {
+    const parts = [{ text: text, hint: story.voices && story.voices[node.voice] }];
+    if (node.input) {
+        parts.push({ text: node.input.prompt || t('input.enterAnswer') });
+    } else if (currentChoices.length > 0) {
+        const options = currentChoices.map((choice, index) => `${index + 1}: ${choice.text}.`);
+        parts.push({ text: t('narration.choices', { options: options.join(' ') }) });
+    }
+    speak(parts, onDone);
 }
 
 // Generic alert function
@@ -93,416 +287,149 @@ function showAlert(message) {
 function showPausePopup() {
     if (isPaused) return;
     isPaused = true;
-    
-    // Stop recognition while paused
-    if (recognition) {
-        isListening = false;
-        try {
-            recognition.stop();
-        } catch (e) {
-            console.log("Error stopping recognition:", e);
-        }
-    }
+    recordEvent('pause');
 
-    clearInterval(timer);
+    engine.stopTimer();
+    stopNarration();
+    cancelVoiceConfirm();
     const template = document.getElementById('pause-template');
     const pauseScreen = template.content.cloneNode(true).querySelector('.pause-screen');
     document.body.appendChild(pauseScreen);
+    trapFocus(pauseScreen);
     
     const resumeBtn = pauseScreen.querySelector('#resumeBtn');
     const restartBtn = pauseScreen.querySelector('#restartBtn');
     const menuBtn = pauseScreen.querySelector('#menuBtn');
+    const flowchartBtn = pauseScreen.querySelector('#flowchartBtn');
+    const settingsBtn = pauseScreen.querySelector('#settingsBtn');
+    const recordingBtn = pauseScreen.querySelector('#recordingBtn');
+    const saveBtn = pauseScreen.querySelector('#saveBtn');
+    const saveNameInput = pauseScreen.querySelector('#saveNameInput');
     
-    resumeBtn.addEventListener('click', () => {
-        pauseScreen.remove();
-        isPaused = false;
-        startTimer();
-        // Create a new recognition instance when resuming
-        setTimeout(setupVoiceRecognition, 300);
-    });
+    renderSaveSlots(pauseScreen);
     
-    restartBtn.addEventListener('click', () => {
-        if (confirm('Are you sure you want to restart? All progress will be lost.')) {
-            pauseScreen.remove();
-            isPaused = false;
-            restartGame();
-            // Create a new recognition instance when restarting
-            setTimeout(setupVoiceRecognition, 300);
-        }
-    });
+    resumeBtn.addEventListener('click', resumeGame);
+    flowchartBtn.addEventListener('click', showFlowchart);
+    recordingBtn.addEventListener('click', exportRecording);
+    settingsBtn.addEventListener('click', () => openSettingsPanel(handleSettingsChange));
     
-    menuBtn.addEventListener('click', () => {
-        if (confirm('Return to menu? All progress will be lost.')) {
-            window.location.href = 'index.html';
-        }
-    });
-}
-
-// Story nodes
-const storyNodes = {
-    start: {
-        text: "( BANDERSNATCH )\n8th July 1984\n\nYou are Stefan Butler, a young programmer adapting a choose-your-own-adventure novel into a video game. Your first choice of the day awaits...",
-        choices: {
-            "Sugar Puffs": "breakfast",
-            "Frosties": "breakfast"
-        }
-    },
-
-    breakfast: {
-        text: "While eating your cereal, the Thomson Twins play on TV. Your father asks if you're heading to Tuckersoft today for the game development opportunity. Movie ratings flash across the screen. This could be your big break.",
-        choices: {
-            "YES": "tuckersoft-memory",
-            "NO": "therapy-session"
-        }
-    },
-
-    "tuckersoft-memory": {
-        text: "As you prepare to leave, a sudden memory flashes - the buffer error that corrupted your game. The frustration, the late nights... The code seems to be affecting your mind. Maybe Dr. Haynes should know about this.",
-        choices: {
-            "Continue": "therapy-session"
-        }
-    },
-
-    "therapy-session": {
-        text: "1st Therapy Session\n\nDr. Haynes sits across from you in her office. 'How have you been sleeping?' she asks. The rabbit toy from your childhood sits on her desk. Your mother's death weighs heavily on your mind. The train, the delay, the choice that changed everything...",
-        choices: {
-            "Talk about past trauma": "talk-trauma",
-            "Don't talk about it": "dont-talk"
-        }
-    },
-
-    "talk-trauma": {
-        text: "The words pour out. You tell Dr. Haynes about that morning - how you made your mother late for the 8:45 train. How you couldn't find your rabbit toy. How that delay meant she took the later train - the one that derailed. The guilt has haunted you ever since.",
-        choices: {
-            "Continue": "record-store"
-        }
-    },
-
-    "dont-talk": {
-        text: "Dr. Haynes notices your hesitation. 'Stefan, bottling things up won't help. Would you like to talk about what's troubling you?' Her eyes drift to the rabbit toy, a reminder of that fateful morning.",
-        choices: {
-            "Talk": "talk-trauma",
-            "Don't talk": "record-store"
-        }
-    },
-
-    "record-store": {
-        text: "At the record store, you browse through albums. Two catch your eye - 'Phaedra' by Tangerine Dream and 'The Bermuda Triangle' by Isao Tomita. Something about the music feels significant to your game.",
-        choices: {
-            "Phaedra": "pour-tea",
-            "The Bermuda Triangle": "bermuda-path"
-        }
-    },
-
-    "pour-tea": {
-        text: "Pour Tea on computer",
-        choices: {
-            "Continue": "ending-1"
-        }
-    },
-
-    "bermuda-path": {
-        text: "17th July 1984 → 2nd August → 20th August\n\nThe music inspires you, but your game keeps crashing at startup. The frustration builds as each attempt fails. Your father watches with growing concern as you become more obsessed. The code seems to mock you with each error.",
-        choices: {
-            "Shout at Dad": "shout-dad"
-        }
-    },
-
-    "shout-dad": {
-        text: "Your anger explodes. 'Stop watching me!' you scream. Your father backs away, hurt and concerned. In the silence that follows, two paths lie before you: seek help or follow Colin's mysterious invitation.",
-        choices: {
-            "Follow Colin": "follow-colin",
-            "Meet Dr. Haynes": "therapy-two"
-        }
-    },
-
-    "follow-colin": {
-        text: "Colin's apartment is filled with code printouts and strange diagrams. 'Reality is a construct,' he explains, opening your mind to new possibilities. His theories about control and choice seem increasingly compelling. He offers you LSD, claiming it will help you see the truth.",
-        choices: {
-            "Take LSD": "take-lsd",
-            "Refuse": "refuse-lsd"
-        }
-    },
-
-    "refuse-lsd": {
-        text: "You decline, but Colin smirks knowingly. 'Choice is an illusion,' he says, dropping the acid into your tea when you're not looking. The world begins to shift around you...",
-        choices: {
-            "Continue": "colin-jumps"
-        }
-    },
-
-    "take-lsd": {
-        text: "The acid takes hold. Reality bends and fractures. On Colin's balcony, the city seems to pulse with hidden meaning. 'One of us must jump,' Colin states matter-of-factly. 'A sacrifice for the program.' The ground below seems both distant and inviting.",
-        choices: {
-            "Stefan jumps off the roof": "ending-1",
-            "Colin jumps off": "colin-jumps"
-        }
-    },
-
-    "colin-jumps": {
-        text: "Kitty's scream pierces the air as Colin steps off the balcony. You wake up in your father's car, gasping. Was it real? Kitty's later denial suggests otherwise, but Colin is nowhere to be found. The line between reality and fantasy blurs further.",
-        choices: {
-            "Continue": "therapy-two"
-        }
-    },
-
-    "therapy-two": {
-        text: "2nd Therapy Session\n\nDr. Haynes notices your agitation immediately. 'You seem different, Stefan.' The walls feel closer, the air thicker. Someone or something seems to be controlling your actions. Your body twitches with nervous energy.",
-        choices: {
-            "Bite nails": "bite-nails",
-            "Pull on earlobe": "pull-earlobe"
-        }
-    },
-
-    "bite-nails": {
-        text: "Your teeth tear at your nails as Dr. Haynes watches. 'Someone's making you do this?' she asks. She increases your medication dosage, but you feel a strange resistance to her authority. The pills sit heavily in your hand.",
-        choices: {
-            "Take pills": "take-pills",
-            "Flush pills": "flush-pills",
-            "Throw pills away": "throw-pills"
-        }
-    },
-
-    "pull-earlobe": {
-        text: "Your fingers find your earlobe, pulling rhythmically. Dr. Haynes leans forward, concerned. 'These compulsions... they're getting stronger?' She writes a new prescription, but something feels wrong about the whole situation.",
-        choices: {
-            "Take pills": "take-pills",
-            "Flush pills": "flush-pills",
-            "Throw pills away": "throw-pills"
-        }
-    },
-
-    "take-pills": {
-        text: "12 Sept 1984 → 12 Sept 1984\n\nThe medication clouds your mind, but the game keeps crashing. During the delivery date preparation, everything falls apart. Colin's mysterious tape appears, containing impossible knowledge about your situation.",
-        choices: {
-            "Continue": "morning-after"
-        }
-    },
-
-    "throw-pills": {
-        text: "Something's deeply wrong. The pills fly across the room as your reality fractures. The world spins, and suddenly you're on the roof. The ground below promises an escape from this controlled existence.",
-        choices: {
-            "Continue": "morning-after"
-        }
-    },
-
-    "morning-after": {
-        text: "Next morning, the game crashes again. Your mind races with conspiracy theories. Colin's words echo in your head. The code seems alive, mocking you. Your computer screen flickers with malevolent purpose.",
-        choices: {
-            "Destroy Computer": "destroy-computer",
-            "Hit Desk": "hit-desk"
-        }
-    },
-
-    "hit-desk": {
-        text: "Your fist slams into the desk. The pain centers you momentarily. Two objects catch your eye: a family photo from before your mother's death, and a mysterious book about government control.",
-        choices: {
-            "Pick up family photo": "family-photo",
-            "Pick up book": "pick-book"
-        }
-    },
-
-    "family-photo": {
-        text: "Wakes up at night\nSees that the phone\ngame back to over and\nover again. Realizes\nwakes up over and over\nmaking new timelines",
-        choices: {
-            "Throw tea over computer": "netflix-path",
-            "Destroy computer": "binary-path",
-            "P.A.C.S": "pacs-path"
-        }
-    },
-
-    "pick-book": {
-        text: "The book reveals different code combinations. Each seems significant: JFD (Jerome F. Davies), PAX (Peace), PAC (Program and Control), or TOY (your childhood rabbit). Which will unlock the truth?",
-        choices: {
-            "JFD": "jfd-path",
-            "PAX": "pax-path",
-            "PAC": "pac-path",
-            "TOY": "toy-path"
-        }
-    },
-
-    "jfd-path": {
-        text: "Wrong password. Jerome F. Davies' story feels connected to yours, but this isn't the right path.",
-        choices: {
-            "Try again": "pick-book"
-        }
-    },
-
-    "pax-path": {
-        text: "Wrong password. Peace seems far away now, as your grip on reality loosens.",
-        choices: {
-            "Try again": "pick-book"
+    saveBtn.addEventListener('click', () => {
+        const slotName = saveNameInput.value.trim();
+        if (!slotName || slotName === AUTOSAVE_SLOT) {
+            showAlert(t('saves.nameRequired'));
+            return;
         }
-    },
-
-    "pac-path": {
-        text: "Wrong password. Program and Control... the words echo in your mind. There must be more to this.",
-        choices: {
-            "Try again": "pick-book",
-            "Get angry": "pacs-path"
+        if (readSave(slotName) && !confirm(t('saves.confirmOverwrite', { name: slotName }))) {
+            return;
         }
-    },
-
-    "toy-path": {
-        text: "The password triggers memories of your childhood. The toy rabbit, your mother, that fateful morning... Do you want to face these memories?",
-        choices: {
-            "Don't go": "ending-5",
-            "Go with Mum": "ending-7"
+        if (writeSave(slotName, engine.getSnapshot())) {
+            showAlert(t('saves.saved', { name: slotName }));
+            saveNameInput.value = '';
+            renderSaveSlots(pauseScreen);
+        } else {
+            showAlert(t('saves.saveFailed'));
         }
-    },
+    });
+    
+    restartBtn.addEventListener('click', requestRestart);
+    menuBtn.addEventListener('click', requestReturnToMenu);
+}
 
-    "pacs-path": {
-        text: "You discover P.A.C.S files in your father's study. A keypad requires a code. The numbers seem to hold significance.",
-        choices: {
-            "2-0-5-4-1": "code-path",
-            "Any other combination": "pick-book"
+// Settings only change from the pause menu, so the countdown is already stopped
+function handleSettingsChange(changes) {
+    applyDisplaySettings();
+    if ('locale' in changes) {
+        reloadInNewLanguage();
+        return;
+    }
+    if ('timerScale' in changes) {
+        engine.setTimeScale(changes.timerScale);
+        if (engine.timed) {
+            updateTimerDisplay(engine.timeLeft);
+        } else {
+            removeTimerDisplay();
         }
-    },
+    }
+    if ('voiceCommands' in changes || 'voiceLanguage' in changes) {
+        updateVoiceRecognition();
+    }
+    if ('volume' in changes || 'muted' in changes) {
+        applyMediaVolume();
+    }
+}
 
-    "code-path": {
-        text: "The truth unravels. Your father's surveillance, the therapy sessions, the train ticket - it all connects. Your game isn't just a game anymore.",
-        choices: {
-            "Continue": "kill-dad"
-        }
-    },
-
-    "kill-dad": {
-        text: "The truth about your father's control becomes too much. In a moment of rage, you've killed him. What now?",
-        choices: {
-            "Bury body": "bury-body",
-            "Chop-up body": "chop-body",
-            "Back Off": "back-off"
-        }
-    },
+// Everything on screen is in the old language, so the page reloads and picks
+// the run back up from its autosave
+function reloadInNewLanguage() {
+    window.location.href = prepareReload();
+}
 
-    "bury-body": {
-        text: "Tucker calls about the game delivery while you're burying the body. Time is running out.",
-        choices: {
-            "Tell truth": "ending-4",
-            "Lie": "ending-6"
-        }
-    },
+// Autosaves the run and returns where to reload to pick it back up; previews
+// and replays just reload
+function prepareReload() {
+    if (!isSavingProgress()) return window.location.href;
+    autosave();
+    return engine.node.ending ? getStoryLink('story.html') : getStoryLink('story.html', { load: AUTOSAVE_SLOT });
+}
 
-    "chop-body": {
-        text: "You make the grim choice to dispose of the evidence piece by piece. There's no going back now.",
-        choices: {
-            "Continue": "ending-4"
-        }
-    },
+function closePausePopup() {
+    const pauseScreen = document.querySelector('.pause-screen');
+    if (pauseScreen) pauseScreen.remove();
+    if (isPaused) recordEvent('resume');
+    isPaused = false;
+}
 
-    "back-off": {
-        text: "You step away from the body, horrified at what almost happened. Maybe there's still a chance to finish the game without losing yourself.",
-        choices: {
-            "Continue": "ending-3"
-        }
-    },
+function resumeGame() {
+    closePausePopup();
+    engine.startTimer();
+}
 
-    "binary-path": {
-        text: "Binary branch symbol",
-        choices: {
-            "Try to explain": "ending-8"
-        }
-    },
+function requestRestart() {
+    if (confirm(t('game.confirmRestart'))) {
+        closePausePopup();
+        restartGame();
+    }
+}
 
-    "netflix-path": {
-        text: "Netflix path begins",
-        choices: {
-            "Give more info": "more-info",
-            "Stop": "stop-info"
-        }
-    },
+function requestReturnToMenu() {
+    if (confirm(t('game.confirmMenu'))) {
+        window.location.href = 'index.html';
+    }
+}
 
-    "more-info": {
-        text: "Stefan gets deep into his theory",
-        choices: {
-            "Continue": "therapy-fight"
-        }
-    },
+// Fill the pause screen's save list with the manual save slots
+function renderSaveSlots(pauseScreen) {
+    const saveList = pauseScreen.querySelector('.save-list');
+    const template = document.getElementById('save-slot-template');
+    saveList.innerHTML = '';
+
+    getManualSaves().forEach(([slotName, save]) => {
+        const slot = template.content.cloneNode(true).querySelector('.save-slot');
+        slot.querySelector('.save-slot-name').textContent = slotName;
+        slot.querySelector('.save-slot-info').textContent =
+            `${save.chapter} · ${formatSaveDate(save.savedAt)}`;
+
+        slot.querySelector('.load-slot-btn').addEventListener('click', () => {
+            if (confirm(t('saves.confirmLoad', { name: slotName }))) {
+                closePausePopup();
+                loadGame(slotName);
+            }
+        });
 
-    "therapy-fight": {
-        text: "3rd Therapy Session\nfight sequence begins",
-        choices: {
-            "Yeah": "yeah-fight",
-            "FUCK 'EM": "fight-em"
-        }
-    },
+        slot.querySelector('.delete-slot-btn').addEventListener('click', () => {
+            if (confirm(t('saves.confirmDelete', { name: slotName }))) {
+                deleteSave(slotName);
+                renderSaveSlots(pauseScreen);
+            }
+        });
 
-    "yeah-fight": {
-        text: "Fight sequence",
-        choices: {
-            "Jump out the window": "ending-8",
-            "Fight her": "karate-fight"
-        }
-    },
+        saveList.appendChild(slot);
+    });
+}
 
-    "karate-fight": {
-        text: "Karate fight scene",
-        choices: {
-            "Karate chop dad": "ending-9",
-            "Kill dad": "kill-dad"
-        }
-    },
-
-    "ending-1": {
-        text: "#1\nFRUSTRATION TAKES ITS TOLL\n\nALL OF STEFAN'S WORK IS LOST AND PRESUMABLY HE DROPS OUT.\nThe pressure of game development and haunting memories prove too much. Your journey ends here, the game unfinished, your story incomplete.\nTHE END",
-        ending: true,
-        showEnding: true
-    },
-
-    "ending-2": {
-        text: "#2\nTHE ULTIMATE SACRIFICE\n\n5/5 (AVERAGE)\nGAME IS RELEASED.\nSTEFAN IS DEAD.\nYour masterpiece is complete, but at what cost? The lines between reality and game blur until the final choice. Critics praise your work, unaware of the true price paid.\nTHE END",
-        ending: true,
-        showEnding: true
-    },
-
-    "ending-3": {
-        text: "#3\nPERFECT BALANCE\n\n5/5 (AVERAGE)\nGAME IS RELEASED\nNOBODY DIES\nYou navigate the complexities of game development while maintaining your sanity. Bandersnatch becomes a success, and you find peace with your past.\nTHE END",
-        ending: true,
-        showEnding: true
-    },
-
-    "ending-4": {
-        text: "#4\nTHE PRICE OF TRUTH\n\n2.5/5 (AVERAGE)\nGAME IS RELEASED\nSTEFAN GOES TO JAIL\nDAD IS DEAD\nThe dark path you chose led to tragedy. The game releases, but your actions have consequences that will follow you forever.\nTHE END",
-        ending: true,
-        showEnding: true
-    },
-
-    "ending-5": {
-        text: "#5\nREALITY BREAKS\n\nSTEFAN IS TOO STRESSED??\nDROPS OUT??\nINCONCLUSIVE.\nThe boundaries between reality and fiction collapse. Your grip on reality slips away as the game consumes your mind.\nTHE END",
-        ending: true,
-        showEnding: true
-    },
-
-    "ending-6": {
-        text: "#6\nTHE PERFECT CRIME\n\n5/5 (Best)\nGAME IS RELEASED\nSTEFAN ESCAPED JAIL\nDAD IS DEAD\nPost credits:\nPEARL RITMAN DECIDES TO REMAKE THE GAME AND LIKE STEFAN GOES MAD\nYour masterpiece is complete, but its dark influence lives on, claiming new victims in an endless cycle.\nTHE END",
-        ending: true,
-        showEnding: true
-    },
-
-    "ending-7": {
-        text: "#7\nTHE TRUTH REVEALED\n\nSTEFAN REMEMBERS HIS MOTHER'S DEATH FROM 1ST THERAPY SESSION\nThe past comes rushing back. The weight of your choices, both past and present, becomes clear. Some memories are better left buried.\nTHE END",
-        ending: true,
-        showEnding: true
-    },
-
-    "ending-8": {
-        text: "#8\nMETA BREAKTHROUGH\n\nTHE GREATEST FOURTH WALL BREAK EVER. HANDS DOWN.\nReality itself breaks down as you realize the truth about your existence. The audience watches, but who's really in control?\nTHE END",
-        ending: true,
-        showEnding: true
-    },
-
-    "ending-9": {
-        text: "#9\nDESCENT INTO MADNESS\n\nSTEFAN TOTALLY LOSES IT.\nPROGRAM GETS SENT TO THE ARCHIVES.\nThe pressure becomes too much. Your grip on reality slips away completely, and your work becomes a cautionary tale.\nTHE END",
-        ending: true,
-        showEnding: true
-    },
-
-    "ending-10": {
-        text: "#10\nTOTAL COLLAPSE\n\nTHE GAME NEVER GETS RELEASED.\nTUCKERSOFT TANKS.\nSTEFAN ARRESTED FOR MURDER.\nEverything falls apart. The game, the company, your life - all destroyed by the choices made along the way.\nTHE END",
-        ending: true,
-        showEnding: true
-    }
-};
+// Story loaded from the story file in window.onload
+let story = null;
+let storyNodes = null;
 
 // Updates the timer display as time goes
 function updateTimerDisplay(seconds) {
@@ -522,8 +449,15 @@ function updateTimerDisplay(seconds) {
     const timerBar = timerBarContainer.querySelector('.timer-bar');
     
     timerDisplay.textContent = seconds;
-    const percentageLeft = (seconds / CHOICE_TIME) * 100;
+    const timeLimit = engine.timeLimit;
+    const percentageLeft = (seconds / timeLimit) * 100;
     timerBar.style.width = `${percentageLeft}%`;
+    timerBarContainer.setAttribute('aria-valuemax', timeLimit);
+    timerBarContainer.setAttribute('aria-valuenow', seconds);
+    
+    if (TIMER_ANNOUNCEMENTS.includes(seconds)) {
+        announce(t('timer.secondsLeft', { count: seconds }), 'timer-announcer');
+    }
     
     if (seconds <= 5) {
         timerBar.classList.add('urgent');
@@ -532,38 +466,41 @@ function updateTimerDisplay(seconds) {
     }
 }
 
-function startTimer() {
-    let timeLeft = CHOICE_TIME;
+function removeTimerDisplay() {
+    const timerContainer = document.querySelector('.timer-container');
+    const timerBarContainer = document.querySelector('.timer-bar-container');
+    if (timerContainer) timerContainer.remove();
+    if (timerBarContainer) timerBarContainer.remove();
+}
+
+// The engine takes the default choice itself once DEFAULT_CHOICE_DELAY has passed
+function handleTimeUp({ outcome, defaultChoice }) {
+    removeTimerDisplay();
     
-    if (timer) {
-        clearInterval(timer);
-        const existingTimer = document.querySelector('.timer-container');
-        const existingBar = document.querySelector('.timer-bar-container');
-        if (existingTimer) existingTimer.remove();
-        if (existingBar) existingBar.remove();
+    if (outcome === 'wrong') {
+        showAlert(t('timeUp.alert'));
+        return;
     }
-
-    updateTimerDisplay(timeLeft);
     
-    timer = setInterval(() => {
-        timeLeft--;
-        updateTimerDisplay(timeLeft);
-        
-        if (timeLeft <= 0) {
-            clearInterval(timer);
-            const timerContainer = document.querySelector('.timer-container');
-            const timerBarContainer = document.querySelector('.timer-bar-container');
-            if (timerContainer) timerContainer.remove();
-            if (timerBarContainer) timerBarContainer.remove();
-            showTimeUpScreen();
-        }
-    }, 1000);
+    if (outcome === 'over') {
+        showTimeUpScreen();
+        return;
+    }
+    
+    const choice = currentChoices.find(option => option.label === defaultChoice);
+    document.getElementById('choices').classList.add('auto-selecting');
+    if (choice) choice.button.classList.add('default-selected');
+    showAlert(t('timeUp.choosing', { choice: getChoiceText(engine.node, defaultChoice) }));
 }
+
 // Popup when time is over
 function showTimeUpScreen() {
     const template = document.getElementById('time-up-template');
     const timeUpScreen = template.content.cloneNode(true).querySelector('.time-up-screen');
     document.body.appendChild(timeUpScreen);
+    trapFocus(timeUpScreen);
+    stopAllMedia();
+    announce(`${t('timeUp.title')} ${t('timeUp.text')}`, 'timer-announcer');
     
     timeUpScreen.querySelector('#tryAgainBtn').addEventListener('click', () => {
         timeUpScreen.remove();
@@ -591,6 +528,26 @@ function showEndingScreen(text) {
         window.location.href = 'index.html';
     });
     
+    endingScreen.querySelector('#galleryBtn').addEventListener('click', () => {
+        window.location.href = getStoryLink('endings.html');
+    });
+    
+    endingScreen.querySelector('#flowchartBtn').addEventListener('click', showFlowchart);
+    endingScreen.querySelector('#recordingBtn').addEventListener('click', exportRecording);
+    
+    const goBackBtn = endingScreen.querySelector('#goBackBtn');
+    if (engine.hardcore || engine.path.length === 0) {
+        goBackBtn.remove();
+    } else {
+        goBackBtn.addEventListener('click', () => {
+            endingScreen.remove();
+            goBack();
+        });
+    }
+    
+    trapFocus(endingScreen);
+    announce(t('ending.announce', { text: text }));
+    
     endingScreen.offsetHeight;
     setTimeout(() => {
         endingScreen.classList.remove('fade-out');
@@ -598,56 +555,462 @@ function showEndingScreen(text) {
     }, 50);
 }
 
+// Preview, replay and debug runs leave saves, unlocks and statistics alone
+function isSavingProgress() {
+    return !previewMode && !replayMode && !debugMode;
+}
+
+function autosave() {
+    if (!isSavingProgress()) return;
+    
+    // A finished run has nothing left to continue
+    if (engine.node.ending) {
+        deleteSave(AUTOSAVE_SLOT);
+    } else {
+        writeSave(AUTOSAVE_SLOT, engine.getSnapshot());
+    }
+}
+
+// Restores a run from a save slot, returns false if it can't be resumed
+function loadGame(slot) {
+    const save = readSave(slot);
+    if (!save || !engine.restore(save)) {
+        showAlert(t('saves.loadFailed'));
+        return false;
+    }
+    return true;
+}
+
+// Replays a chapter from the point it was first reached, as a new run
+function loadChapter(chapterId) {
+    const snapshot = getReachedChapters()[chapterId];
+    const run = snapshot && {
+        ...snapshot,
+        state: { ...snapshot.state, ...startRun() },
+        hardcore: getSettings().hardcore
+    };
+    if (!run || !engine.restore(run, 'start')) {
+        showAlert(t('game.chapterNotReached'));
+        return false;
+    }
+    return true;
+}
+
+// Records the current chapter as reached and shows its title card before continuing
+function enterChapter(callback) {
+    const chapterId = engine.node.chapter;
+    if (isSavingProgress()) markChapterReached(chapterId, engine.getSnapshot());
+
+    // Nothing on screen can be chosen while the title card is up
+    currentChoices = [];
+    engine.stopTimer();
+    stopNarration();
+    removeTimerDisplay();
+    showChapterTitleCard(story.chapters[chapterId], callback);
+}
+
+function showChapterTitleCard(chapter, callback) {
+    const template = document.getElementById('chapter-title-template');
+    const card = template.content.cloneNode(true).querySelector('.chapter-title-card');
+    card.querySelector('.chapter-title').textContent = chapter.title;
+    card.querySelector('.chapter-date').textContent = chapter.date || '';
+    document.body.appendChild(card);
+
+    setTimeout(() => {
+        card.classList.add('fade-out');
+        setTimeout(() => {
+            card.remove();
+            callback();
+        }, 300);
+    }, CHAPTER_CARD_TIME);
+}
+
+// Title cards play when a run starts and when a choice leads into a new chapter;
+// rewinds, jumps and loaded saves go straight to the node, and endings never get one
+function handleNodeEntered({ node, cause, chapterChanged }) {
+    const showTitleCard = !node.ending && (cause === 'start' || (cause === 'choice' && chapterChanged));
+    if (showTitleCard) {
+        enterChapter(() => updateDisplay(node));
+    } else {
+        updateDisplay(node);
+    }
+}
+
+// Records the decision for the statistics page; typed answers aren't split
+// since every wrong entry is a label of its own
+function handleChoiceMade({ from, label, to }) {
+    if (!isSavingProgress()) return;
+    const node = storyNodes[from];
+    recordChoiceStat(from, label, to, engine.timed ? engine.timeLimit - engine.timeLeft : null);
+
+    if (getSettings().choiceStats && !node.input && currentChoices.length > 1) {
+        pendingChoiceSplit = {
+            node: node,
+            chosen: label,
+            split: getChoiceSplit(getStats(), from, currentChoices.map(choice => choice.label))
+        };
+    }
+}
+
+function showAchievementsUnlocked(achievements) {
+    const titles = achievements.map(achievement => achievement.title).join(', ');
+    setTimeout(() => {
+        showAlert(t('achievements.unlocked', { titles: titles, count: achievements.length }));
+    }, ACHIEVEMENT_ALERT_DELAY);
+}
+
+function handleEndingReached({ key, path }) {
+    if (!isSavingProgress()) return;
+    recordEndingStat(key, path);
+    if (unlockEnding(key, path)) {
+        showAlert(t('ending.unlocked'));
+    }
+}
+
+// Bars under the story text with the share of plays on this device that took each option
+function renderChoiceSplit(choiceSplit) {
+    const section = document.getElementById('choice-split');
+    const list = section.querySelector('.choice-split-list');
+    const template = document.getElementById('choice-split-row-template');
+    list.innerHTML = '';
+    section.hidden = !choiceSplit;
+    if (!choiceSplit) return;
+
+    choiceSplit.split.forEach(({ label, percent }) => {
+        const row = template.content.cloneNode(true).querySelector('.choice-split-row');
+        row.classList.toggle('chosen', label === choiceSplit.chosen);
+        row.querySelector('.choice-split-label').textContent = getChoiceText(choiceSplit.node, label);
+        row.querySelector('.choice-split-fill').style.width = `${percent}%`;
+        row.querySelector('.choice-split-percent').textContent = t('stats.percent', { percent: percent });
+        list.appendChild(row);
+    });
+}
+
 function updateDisplay(node) {
     const storyDiv = document.getElementById('story');
     const choicesDiv = document.getElementById('choices');
     const progressSpan = document.getElementById('progress');
     const container = document.querySelector('.container');
+    const fadeTime = getFadeTime();
+    
+    // Focus is lost when the clicked choice is removed; put it back on the new choices
+    const hadChoiceFocus = choicesDiv.contains(document.activeElement);
+    stopNarration();
+    
+    autosave();
+    const lastStep = engine.path[engine.path.length - 1];
+    if (isSavingProgress()) recordVisit(engine.nodeKey, engine.state, lastStep && lastStep.node);
     
     // First fade everything out
-    container.classList.add('fade-out');
+    if (fadeTime) container.classList.add('fade-out');
 
     // Wait for fade-out to complete before changing content
     setTimeout(() => {
         // Update content while it's invisible
-        storyDiv.textContent = node.text;
-        progressSpan.textContent = `Chapter: ${currentChapter}`;
+        const text = engine.text;
+        storyDiv.textContent = text;
+        progressSpan.textContent = t('game.chapter', { title: engine.chapter });
         choicesDiv.innerHTML = '';
+        choicesDiv.classList.remove('auto-selecting');
+        currentChoices = [];
+        renderChoiceSplit(pendingChoiceSplit);
+        pendingChoiceSplit = null;
+        showNodeMedia(story, node);
         
         if (node.ending) {
-            showEndingScreen(node.text);
+            showEndingScreen(text);
+            narrateNode(text, node);
             return;
         }
 
-        // Create choice buttons
-        Object.entries(node.choices).forEach(([choice, nextNode]) => {
-            if (!storyNodes[nextNode]) return;
+        // Create choice buttons for the choices the current state allows
+        if (node.input) {
+            renderInputNode(node.input, choicesDiv);
+        }
+
+        engine.choices.forEach(({ label, target }) => {
+            const number = currentChoices.length + 1;
+            const text = getChoiceText(node, label);
             const btn = document.createElement('button');
             btn.className = 'choice-btn';
-            btn.textContent = choice;
-            btn.onclick = () => {
-                clearInterval(timer);
-                updateDisplay(storyNodes[nextNode]);
-            };
+            btn.textContent = text;
+            if (number <= 9) {
+                const keyHint = document.createElement('span');
+                keyHint.className = 'choice-key';
+                keyHint.setAttribute('aria-hidden', 'true');
+                keyHint.textContent = number;
+                btn.prepend(keyHint);
+                btn.setAttribute('aria-keyshortcuts', String(number));
+            }
+            btn.onclick = () => engine.choose(label);
             choicesDiv.appendChild(btn);
+            currentChoices.push({ label: label, text: text, target: target, button: btn });
         });
 
+        preloadNextMedia(story, getNodeChoiceValues(node).map(value => normalizeChoice(value).next));
+        announceNode(text, node);
+        if (hadChoiceFocus || document.activeElement === document.body) {
+            const firstControl = choicesDiv.querySelector('button, input');
+            if (firstControl) firstControl.focus({ preventScroll: true });
+        }
+
         // After content is updated, fade everything back in
-        setTimeout(() => {
-            container.classList.remove('fade-out');
-            container.classList.add('fade-in');
-            
-            // Remove the fade-in class after animation completes
+        if (fadeTime) {
             setTimeout(() => {
-                container.classList.remove('fade-in');
-            }, 300);
-        }, 50);
+                container.classList.remove('fade-out');
+                container.classList.add('fade-in');
+                
+                // Remove the fade-in class after animation completes
+                setTimeout(() => {
+                    container.classList.remove('fade-in');
+                }, fadeTime);
+            }, 50);
+        }
+
+        // A pause during the fade leaves the full time for when it resumes
+        if (isPaused) return;
+        if (isNarrationEnabled()) {
+            // The countdown waits for the narration to finish
+            if (engine.timed) updateTimerDisplay(engine.timeLeft);
+            narrateNode(text, node, () => {
+                if (!isPaused) engine.startTimer();
+            });
+        } else {
+            engine.startTimer();
+        }
+    }, fadeTime);
+}
+
+// Reads the new story text and the available choices through the live region
+function announceNode(text, node) {
+    let message = text;
+    if (node.input) {
+        message += `. ${node.input.prompt || t('input.enterAnswer')}.`;
+    } else if (currentChoices.length > 0) {
+        const options = currentChoices.map((choice, index) => `${index + 1}: ${choice.text}`);
+        message += `. ${t('game.announceChoices', { options: options.join(', ') })}`;
+    }
+    if (engine.timed) message += ` ${t('game.announceTime', { count: engine.timeLimit })}`;
+    announce(message);
+}
 
-        startTimer();
-    }, 300);
+// Keypad or text field shown in place of choice buttons
+function renderInputNode(input, choicesDiv) {
+    const isKeypad = input.type === 'keypad';
+    const template = document.getElementById(isKeypad ? 'keypad-template' : 'text-input-template');
+    const panel = template.content.cloneNode(true).querySelector('.input-panel');
+    const form = panel.querySelector('.input-form');
+    const field = panel.querySelector('.input-field');
+    
+    panel.querySelector('.input-prompt').textContent =
+        input.prompt || t(isKeypad ? 'input.enterCode' : 'input.enterPassword');
+    
+    if (isKeypad) {
+        field.maxLength = KEYPAD_MAX_LENGTH;
+        field.addEventListener('input', () => {
+            field.value = field.value.replace(/\D/g, '');
+        });
+        panel.querySelectorAll('.keypad-key').forEach(key => {
+            key.addEventListener('click', () => {
+                if (key.dataset.key === 'clear') {
+                    field.value = field.value.slice(0, -1);
+                } else if (field.value.length < KEYPAD_MAX_LENGTH) {
+                    field.value += key.dataset.key;
+                }
+            });
+        });
+    }
+    
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        submitInputEntry(field.value);
+    });
+    
+    choicesDiv.appendChild(panel);
+}
+
+function submitInputEntry(entry) {
+    if (document.querySelector('.input-panel')) {
+        engine.submitInput(entry);
+    }
+}
+
+function handleInputRejected({ attemptsLeft }) {
+    const panel = document.querySelector('.input-panel');
+    const isKeypad = engine.node.input.type === 'keypad';
+    
+    if (attemptsLeft <= 0) {
+        showAlert(t(isKeypad ? 'input.noAttemptsCode' : 'input.noAttemptsPassword'));
+        return;
+    }
+    if (!panel) return;
+    
+    panel.querySelector('.input-feedback').textContent =
+        t(isKeypad ? 'input.wrongCode' : 'input.wrongPassword', { count: attemptsLeft });
+    panel.querySelector('.input-field').value = '';
+    
+    // Restart the shake animation
+    panel.classList.remove('input-wrong');
+    panel.offsetHeight;
+    panel.classList.add('input-wrong');
+}
+
+// Rewind to the decision made at engine.path[index], restoring the state from then
+function rewindTo(index) {
+    if (engine.hardcore) {
+        showAlert(t('history.rewindsDisabled'));
+        return;
+    }
+    
+    const step = engine.path[index];
+    if (!step || !storyNodes[step.node]) return;
+    
+    closeHistoryPanel(false);
+    showAlert(t('history.rewound', { choice: getChoiceText(storyNodes[step.node], step.choice) }));
+    engine.rewindTo(index);
+}
+
+function goBack() {
+    if (engine.path.length === 0) {
+        showAlert(t('history.nothingToGoBackTo'));
+        return;
+    }
+    rewindTo(engine.path.length - 1);
+}
+
+// Jump to a node seen in any run: a rewind if it's in this run's history,
+// otherwise a fresh path from the state it was last visited with
+function jumpToNode(nodeKey) {
+    if (engine.hardcore) {
+        showAlert(t('flowchart.jumpsDisabled'));
+        return;
+    }
+    
+    let index = -1;
+    engine.path.forEach((step, i) => {
+        if (step.node === nodeKey) index = i;
+    });
+    
+    closePausePopup();
+    document.querySelectorAll('.ending-screen, .time-up-screen').forEach(screen => screen.remove());
+    
+    if (index !== -1) {
+        rewindTo(index);
+        return;
+    }
+    
+    const visit = getVisits().nodes[nodeKey];
+    if (!visit || !storyNodes[nodeKey]) return;
+    
+    showAlert(t('flowchart.jumped', { chapter: story.chapters[storyNodes[nodeKey].chapter].title }));
+    engine.jumpTo(nodeKey, visit.state);
+}
+
+// Full-screen flowchart over whatever screen opened it (pause or ending)
+function showFlowchart() {
+    const template = document.getElementById('flowchart-template');
+    const flowchartScreen = template.content.cloneNode(true).querySelector('.flowchart-screen');
+    const svg = flowchartScreen.querySelector('.flowchart-svg');
+    
+    const onJump = engine.hardcore ? null : (nodeKey) => {
+        if (nodeKey === engine.nodeKey && !storyNodes[nodeKey].ending) {
+            flowchartScreen.remove();
+            return;
+        }
+        if (confirm(t('flowchart.confirmJump'))) {
+            flowchartScreen.remove();
+            jumpToNode(nodeKey);
+        }
+    };
+    renderFlowchart(svg, story, getVisits(), engine.nodeKey, onJump);
+    
+    const visitedCount = Object.keys(getVisits().nodes).filter(key => storyNodes[key]).length;
+    flowchartScreen.querySelector('.flowchart-progress').textContent =
+        `${t('flowchart.progress', { visited: visitedCount, total: Object.keys(storyNodes).length })} · ` +
+        t(engine.hardcore ? 'flowchart.hardcore' : 'flowchart.jumpHint');
+    
+    flowchartScreen.querySelector('#flowchartCloseBtn').addEventListener('click', () => {
+        flowchartScreen.remove();
+    });
+    
+    document.body.appendChild(flowchartScreen);
+    trapFocus(flowchartScreen);
+    
+    const current = svg.querySelector('.flow-node.current');
+    if (current) current.scrollIntoView({ block: 'center', inline: 'center' });
+}
+
+function toggleHistoryPanel() {
+    if (document.querySelector('.history-panel')) {
+        closeHistoryPanel(true);
+    } else {
+        openHistoryPanel();
+    }
+}
+
+// Timeline of every decision this run; the timer waits while it's open
+function openHistoryPanel() {
+    if (isPaused) return;
+    engine.stopTimer();
+    stopNarration();
+    
+    const template = document.getElementById('history-template');
+    const panel = template.content.cloneNode(true).querySelector('.history-panel');
+    const list = panel.querySelector('.history-list');
+    const stepTemplate = document.getElementById('history-step-template');
+    
+    engine.path.forEach((step, index) => {
+        const item = stepTemplate.content.cloneNode(true).querySelector('.history-step');
+        const node = storyNodes[step.node];
+        item.querySelector('.history-step-chapter').textContent =
+            node ? story.chapters[node.chapter].title : step.node;
+        item.querySelector('.history-step-choice').textContent = getChoiceText(node, step.choice);
+        
+        const rewindBtn = item.querySelector('.history-rewind-btn');
+        if (engine.hardcore || !node) {
+            rewindBtn.remove();
+        } else {
+            rewindBtn.addEventListener('click', () => rewindTo(index));
+        }
+        list.appendChild(item);
+    });
+    
+    const current = document.createElement('li');
+    current.className = 'history-step history-current';
+    current.textContent = t('history.now', { chapter: engine.chapter });
+    list.appendChild(current);
+    
+    const goBackBtn = panel.querySelector('#historyBackBtn');
+    if (engine.hardcore) {
+        goBackBtn.remove();
+        panel.querySelector('.history-note').textContent = t('history.hardcore');
+    } else {
+        goBackBtn.disabled = engine.path.length === 0;
+        goBackBtn.addEventListener('click', goBack);
+    }
+    panel.querySelector('#historyCloseBtn').addEventListener('click', () => closeHistoryPanel(true));
+    
+    document.body.appendChild(panel);
+    trapFocus(panel);
+    list.lastElementChild.scrollIntoView({ block: 'end' });
+}
+
+function closeHistoryPanel(resumeTimer) {
+    const panel = document.querySelector('.history-panel');
+    if (!panel) return;
+    panel.remove();
+    if (resumeTimer && !isPaused) {
+        engine.startTimer();
+    }
 }
 
 function animateTransition(callback) {
+    const fadeTime = getFadeTime();
+    if (!fadeTime) {
+        callback();
+        return;
+    }
+    
     const container = document.querySelector('.container');
     container.classList.add('fade-out');
     
@@ -658,87 +1021,191 @@ function animateTransition(callback) {
         
         setTimeout(() => {
             container.classList.remove('fade-in');
-        }, 300);
-    }, 300);
+        }, fadeTime);
+    }, fadeTime);
+}
+
+// Number keys pick choices; Esc pauses, resumes or closes the top overlay; Space pauses
+function handleKeydown(event) {
+    const target = event.target;
+    const isTyping = target.matches && target.matches('input, textarea, select');
+    if (replayMode) return;
+    
+    if (event.key === 'Escape') {
+        const flowchartScreen = document.querySelector('.flowchart-screen');
+        if (isSettingsPanelOpen()) {
+            closeSettingsPanel();
+        } else if (flowchartScreen) {
+            flowchartScreen.remove();
+        } else if (document.querySelector('.history-panel')) {
+            closeHistoryPanel(true);
+        } else if (isPaused) {
+            resumeGame();
+        } else if (!hasOpenOverlay() && !document.querySelector('.chapter-title-card')) {
+            showPausePopup();
+        }
+        event.preventDefault();
+        return;
+    }
+    
+    if (isPaused || hasOpenOverlay() || isTyping) return;
+    
+    // Space on a focused button should still press it
+    if (event.key === ' ' && !(target.matches && target.matches('button, a'))) {
+        event.preventDefault();
+        showPausePopup();
+        return;
+    }
+    
+    if (/^[1-9]$/.test(event.key)) {
+        const choice = currentChoices[Number(event.key) - 1];
+        if (choice) {
+            event.preventDefault();
+            choice.button.click();
+        }
+    }
 }
 // restart
+// Plays the editor's draft from any node, with the story's starting state
+function startPreview(nodeKey) {
+    showAlert(t('game.preview'));
+    const started = engine.restore({
+        nodeKey: nodeKey,
+        path: [],
+        state: createInitialState(story, getMetaState(story)),
+        hardcore: false
+    }, 'start');
+    if (!started) {
+        restartGame();
+    }
+}
+
+// What earlier runs left behind, for the run about to start; it counts as one
+// more run unless it's a preview
+function startRun() {
+    const meta = getMetaState(story);
+    if (isSavingProgress()) recordRunStarted();
+    return meta;
+}
+
 function restartGame() {
-    currentNodeKey = 'start';
-    currentChapter = 'Start';
-    clearInterval(timer); // Clear any existing timer
-    updateDisplay(storyNodes.start);
+    engine.start(getSettings().hardcore, startRun());
 }
 // error handling and input validation
 window.onload = async function() {
     try {
-        if (!storyNodes || !storyNodes.start) {
-            throw new Error('Game data not properly loaded');
+        const params = new URLSearchParams(window.location.search);
+        const previewKey = params.get('preview');
+        previewMode = previewKey !== null;
+        replayMode = params.has('replay');
+        debugMode = params.has('debug') && !replayMode;
+        await loadLocale();
+        story = await translateStory(previewMode ? await loadDraftStory() : await loadStory());
+        storyNodes = story.nodes;
+
+        const recording = replayMode ? getStoredReplay() : null;
+        if (replayMode && (!recording || recording.story !== story.id)) {
+            throw new Error(t(recording ? 'replay.wrongStory' : 'replay.missing'));
         }
 
-        // Add event listeners for menu and restart buttons
+        // A replay restores every node itself, so its countdown stays off
+        engine = new StoryEngine(story, {
+            timeUpDelay: DEFAULT_CHOICE_DELAY,
+            timeScale: replayMode ? 0 : getSettings().timerScale
+        });
+        if (!replayMode) {
+            startRecording(story);
+            recordEngine(engine);
+        }
+        if (isSavingProgress()) trackAchievements(engine, showAchievementsUnlocked);
+        engine.on('nodeEntered', handleNodeEntered);
+        engine.on('choiceMade', handleChoiceMade);
+        engine.on('endingReached', handleEndingReached);
+        engine.on('timerTick', ({ timeLeft }) => updateTimerDisplay(timeLeft));
+        engine.on('timeUp', handleTimeUp);
+        engine.on('inputRejected', handleInputRejected);
+        applyDisplaySettings();
+        setupAppUpdates(prepareReload);
+        document.addEventListener('keydown', handleKeydown);
+        setupDebugShortcut();
+        if (debugMode) showDebugOverlay();
+
+        // Add event listeners for menu, restart and history buttons
         const menuBtn = document.getElementById('menu-btn');
         const restartBtn = document.getElementById('restart-btn');
+        const historyBtn = document.getElementById('history-btn');
 
         if (menuBtn) {
-            menuBtn.addEventListener('click', () => {
-                if (confirm('Return to menu? All progress will be lost.')) {
-                    window.location.href = 'index.html';
-                }
-            });
+            menuBtn.addEventListener('click', requestReturnToMenu);
         }
 
         if (restartBtn) {
-            restartBtn.addEventListener('click', () => {
-                if (confirm('Are you sure you want to restart? All progress will be lost.')) {
-                    restartGame();
-                }
-            });
+            restartBtn.addEventListener('click', requestRestart);
         }
 
-        showAlert('Click anywhere to enable voice commands');
+        if (historyBtn) {
+            historyBtn.addEventListener('click', toggleHistoryPanel);
+        }
+
+        if (replayMode) {
+            startReplay(recording);
+            return;
+        }
+
+        if (getSettings().voiceCommands) {
+            showAlert(t('voice.clickToEnable'));
+        }
 
         // Wait for user interaction before starting voice recognition
         document.body.addEventListener('click', () => {
+            voiceEnabled = true;
             setupVoiceRecognition();
         }, { once: true });
 
-        // Initialize the game
-        updateDisplay(storyNodes.start);
+        // Initialize the game, resuming a save or chapter if one was requested
+        const loadSlot = params.get('load');
+        const chapterId = params.get('chapter');
+        if (previewMode) {
+            startPreview(previewKey);
+        } else if (!((loadSlot && loadGame(loadSlot)) || (chapterId && loadChapter(chapterId)))) {
+            restartGame();
+        }
 
     } catch (error) {
         console.error('Error during initialization:', error);
         handleError(error);
         // Ensure game is still playable without voice recognition
-        updateDisplay(storyNodes.start);
+        if (engine && engine.node) {
+            updateDisplay(engine.node);
+        }
     }
 };
 
 function handleError(error) {
     const template = document.getElementById('error-template');
     const errorScreen = template.content.cloneNode(true).querySelector('.error-screen');
+    
+    // List the specific problems when the story file failed validation
+    if (error instanceof StoryValidationError) {
+        errorScreen.querySelector('.ending-text').textContent = error.message;
+        const problemList = errorScreen.querySelector('.error-problems');
+        error.problems.forEach(problem => {
+            const item = document.createElement('li');
+            item.textContent = problem;
+            problemList.appendChild(item);
+        });
+    } else if (error && error.message) {
+        errorScreen.querySelector('.ending-text').textContent = t('error.details', { message: error.message });
+    }
+    
     document.body.appendChild(errorScreen);
+    trapFocus(errorScreen);
     
     errorScreen.querySelector('#returnMenuBtn').addEventListener('click', () => {
         window.location.href = 'index.html';
     });
 }
 
-// Function to handle ending popups
-function showEndingPopup(text) {
-    alert("You have reached an ending!\n\n" + text);
-}
-
-// Updated game logic to handle endings
-function selectChoice(choice) {
-    const nextNode = storyNodes[choice];
-    if (nextNode.ending) {
-        displayStoryNode(nextNode);
-        showEndingPopup(nextNode.text);
-    } else {
-        displayStoryNode(nextNode);
-    }
-}
-
 // Clean up function for when leaving the page
 window.addEventListener('beforeunload', () => {
     if (mediaStream) {
@@ -747,4 +1214,6 @@ window.addEventListener('beforeunload', () => {
     if (recognition) {
         recognition.stop();
     }
+    cancelNarration();
+    stopAllMedia();
 });
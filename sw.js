@@ -0,0 +1,122 @@
+// Service worker: keeps every file the game needs in a cache so it can be
+// installed and played offline. Bump CACHE_VERSION whenever any of these files
+// change; open pages then offer the new version (pwa.js) instead of having
+// files swapped underneath a run in progress. Story files are the exception:
+// they're fetched fresh whenever the network is there, see isStoryFile().
+
+const CACHE_VERSION = 8;
+const CACHE_PREFIX = 'bandersnatch-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'story.html',
+    'endings.html',
+    'stats.html',
+    'achievements.html',
+    'editor.html',
+    'manifest.webmanifest',
+    'styles.css',
+    'a11y.js',
+    'achievements-page.js',
+    'achievements.js',
+    'chapters.js',
+    'debug.js',
+    'editor.js',
+    'endings.js',
+    'flowchart.js',
+    'gallery.js',
+    'home.js',
+    'i18n.js',
+    'media.js',
+    'meta-state.js',
+    'narration.js',
+    'pwa.js',
+    'recording.js',
+    'replay.js',
+    'saves.js',
+    'settings-panel.js',
+    'settings.js',
+    'stats-page.js',
+    'stats.js',
+    'story-engine.js',
+    'story-lint.js',
+    'story-loader.js',
+    'story-state.js',
+    'story.js',
+    'visits.js',
+    'voice-commands.js',
+    'locales/en.json',
+    'locales/es.json',
+    'stories/story.schema.json',
+    'stories/library.json',
+    'stories/bandersnatch.json',
+    'stories/bandersnatch.es.json',
+    'public/bandersnatch.jpeg',
+    'public/BM_Bandersnatch_Vertical_Main_PRE_RGB.png',
+    'public/icon-192.png',
+    'public/icon-512.png',
+    'public/audio/record-store.wav',
+    'public/audio/door-bell.wav',
+    'fonts/cabin.woff2',
+    'fonts/cinzel.woff2',
+    'fonts/lora.woff2',
+    'fonts/merriweather.woff2',
+    'fonts/open-sans.woff2',
+    'fonts/playfair-display.woff2',
+    'fonts/roboto.woff2'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+// A new version waits until the player agrees to switch (see pwa.js)
+self.addEventListener('message', (event) => {
+    if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Stories, their translations and the library, so a published story fix
+// reaches installed copies without waiting for a CACHE_VERSION bump
+function isStoryFile(url) {
+    return url.pathname.includes('/stories/') && url.pathname.endsWith('.json');
+}
+
+function fetchAndCache(request) {
+    return fetch(request).then(response => {
+        if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+    });
+}
+
+// Cache first, ignoring query strings so story.html?load=autosave is the cached
+// story.html; anything else from this site is cached the first time it loads.
+// Story files go to the network first and fall back to the cache offline.
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (isStoryFile(url)) {
+        event.respondWith(fetchAndCache(request).catch(error =>
+            caches.match(request, { ignoreSearch: true }).then(cached => cached || Promise.reject(error))));
+        return;
+    }
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || fetchAndCache(request))
+    );
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, readStory } = require('./browser-scripts.js');
+
+const SCRIPTS = ['story-state.js', 'story-loader.js', 'story-lint.js', 'story-engine.js', 'visits.js', 'achievements.js'];
+
+// Plays steps in order, letting seconds[i] of countdown run before each step
+function playRun(steps, seconds) {
+    const scope = loadBrowserScripts(SCRIPTS);
+    const engine = new (scope('StoryEngine'))(readStory());
+    const unlocked = [];
+    scope('trackAchievements')(engine, achievements => unlocked.push(...achievements.map(achievement => achievement.id)));
+
+    engine.start(false);
+    steps.forEach((step, index) => {
+        for (let i = 0; i < seconds[index]; i++) engine.tick();
+        const numbered = engine.choices[Number(step) - 1];
+        assert.ok(engine.choose(numbered.label), `step ${index + 1} on ${engine.nodeKey}`);
+    });
+    assert.ok(engine.node.ending, `ended on ${engine.nodeKey}`);
+    return unlocked;
+}
+
+const RECORD_STORE_ROUTE = ['1', '1', '1', '1', '1', '1', '1'];
+
+test('cool-head is earned when every longer countdown keeps 10 seconds to spare', () => {
+    // start only has 10 seconds, so running it down to 3 doesn't count against the run
+    const unlocked = playRun(RECORD_STORE_ROUTE, [7, 5, 20, 20, 20, 5, 20]);
+    assert.ok(unlocked.includes('cool-head'));
+});
+
+test('cool-head is missed when a longer countdown drops below 10 seconds', () => {
+    // breakfast and record-store give 15 seconds
+    const unlocked = playRun(RECORD_STORE_ROUTE, [0, 6, 0, 0, 0, 0, 0]);
+    assert.ok(!unlocked.includes('cool-head'));
+});
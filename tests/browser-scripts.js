@@ -0,0 +1,63 @@
+// Loads the game's classic browser scripts into one shared scope under Node,
+// the way a page's <script> tags do, with localStorage kept in memory.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+function createLocalStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+// Returns a function that evaluates an expression in the scripts' scope;
+// globals adds or replaces what the scripts can see
+function loadBrowserScripts(files, globals = {}) {
+    const context = vm.createContext({
+        console: console,
+        URLSearchParams: URLSearchParams,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        setInterval: setInterval,
+        clearInterval: clearInterval,
+        localStorage: createLocalStorage(),
+        window: { location: { search: '', href: 'http://localhost/story.html' } },
+        ...globals
+    });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), context, { filename: file });
+    });
+    return expression => vm.runInContext(expression, context);
+}
+
+// Stands in for any DOM element or document: every property is another one,
+// callable, so page setup code runs without doing anything
+function createFakeElement() {
+    const target = function () {};
+    const element = new Proxy(target, {
+        get: (object, property) => {
+            if (property === Symbol.toPrimitive) return () => '';
+            if (typeof property === 'symbol') return undefined;
+            if (!(property in object)) object[property] = createFakeElement();
+            return object[property];
+        },
+        set: (object, property, value) => {
+            object[property] = value;
+            return true;
+        },
+        apply: () => createFakeElement()
+    });
+    return element;
+}
+
+function readStory(file = 'bandersnatch.json') {
+    return JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'stories', file), 'utf8'));
+}
+
+module.exports = { loadBrowserScripts, createFakeElement, readStory };
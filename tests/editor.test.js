@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, createFakeElement, readStory } = require('./browser-scripts.js');
+
+const SCRIPTS = ['settings.js', 'story-loader.js', 'story-state.js', 'story-lint.js', 'editor.js'];
+
+// The editor with story loaded, its page and dialogs faked out
+// Values come from the scripts' own realm, so they're compared with deepEqual
+function openEditor(story) {
+    const scope = loadBrowserScripts(SCRIPTS, {
+        document: createFakeElement(),
+        applyDisplaySettings: () => {},
+        fetch: () => Promise.reject(new Error('no network in tests')),
+        confirm: () => true,
+        alert: () => {},
+        console: { ...console, error: () => {}, log: () => {} }
+    });
+    scope('(story, schema) => { editorStory = story; storySchema = schema; }')(story, readStory('story.schema.json'));
+    return scope;
+}
+
+function storyWithEndingAchievement() {
+    const story = readStory();
+    story.achievements['bad-ending'] = {
+        title: 'Bad Ending',
+        description: 'Reach the first ending.',
+        ending: { endings: ['ending-1', 'ending-3'] }
+    };
+    story.achievements['record-shop'] = {
+        title: 'Record Shop',
+        description: 'Visit the record store.',
+        visit: ['record-store', 'ending-1']
+    };
+    return story;
+}
+
+test('renaming a node renames it in achievement visit and ending lists', () => {
+    const scope = openEditor(storyWithEndingAchievement());
+    scope('renameNode')('ending-1', 'ending-tea');
+
+    const story = scope('editorStory');
+    assert.deepEqual(story.achievements['bad-ending'].ending.endings, ['ending-tea', 'ending-3']);
+    assert.deepEqual(story.achievements['record-shop'].visit, ['record-store', 'ending-tea']);
+    assert.deepEqual(scope('validateStory')(story, scope('storySchema')), []);
+});
+
+test('deleting a node drops it from achievement visit and ending lists', () => {
+    const scope = openEditor(storyWithEndingAchievement());
+    scope('deleteNode')('ending-1');
+
+    const story = scope('editorStory');
+    assert.deepEqual(story.achievements['bad-ending'].ending.endings, ['ending-3']);
+    assert.deepEqual(story.achievements['record-shop'].visit, ['record-store']);
+    assert.deepEqual(scope('validateStory')(story, scope('storySchema')), []);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { lintStory } = require('../story-lint.js');
+const { readStory } = require('./browser-scripts.js');
+
+function placeholderNodes(story) {
+    return lintStory(story)
+        .filter(problem => problem.message.startsWith('text looks like a placeholder'))
+        .map(problem => problem.node);
+}
+
+function storyWithText(text) {
+    const story = readStory();
+    story.nodes.breakfast.text = text;
+    return story;
+}
+
+test('line-broken notes with no finished sentence are reported as placeholders', () => {
+    assert.ok(placeholderNodes(readStory()).includes('family-photo'));
+    assert.ok(placeholderNodes(storyWithText('Stefan at the desk\nstares at the code\nthinks about mum\nphone rings')).includes('breakfast'));
+});
+
+test('line-broken text that finishes a sentence is not a placeholder', () => {
+    const text = '#1\nFRUSTRATION TAKES ITS TOLL\n\nThe pressure proves too much and the game is never finished.\nTHE END';
+    assert.ok(!placeholderNodes(storyWithText(text)).includes('breakfast'));
+    assert.ok(!placeholderNodes(readStory()).includes('ending-1'));
+});
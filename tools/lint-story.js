@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// Story graph linter
+//
+// Usage: node tools/lint-story.js [story.json]
+//
+// Validates the story file against the schema, then walks the choice graph
+// looking for broken choice targets, unreachable nodes and endings, and loops
+// the player can never leave. Also warns about media files that don't exist
+// and about translations (<story id>.<locale>.json next to the story) that
+// name nodes or choices the story doesn't have. Exits with 1 when any errors
+// are found.
+
+const fs = require('fs');
+const path = require('path');
+const { validateStory } = require('../story-loader.js');
+const { lintStory } = require('../story-lint.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SCHEMA_PATH = path.join(ROOT_DIR, 'stories', 'story.schema.json');
+const DEFAULT_STORY_PATH = path.join(ROOT_DIR, 'stories', 'bandersnatch.json');
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Media paths are relative to the site root, which is the repository root
+function findMissingMedia(story) {
+    const problems = [];
+    const check = (owner, media) => {
+        Object.entries(media || {}).forEach(([kind, file]) => {
+            if (file && !fs.existsSync(path.join(ROOT_DIR, file))) {
+                problems.push({ level: 'warning', node: owner, message: `${kind} file "${file}" not found` });
+            }
+        });
+    };
+
+    check('story', { cover: story.cover });
+    Object.entries(story.chapters).forEach(([chapterId, chapter]) => check(`chapter:${chapterId}`, chapter.media));
+    Object.entries(story.nodes).forEach(([key, node]) => check(key, node.media));
+    return problems;
+}
+
+// Untranslated nodes are fine, they're shown in the original language
+function findTranslationProblems(story, storyPath) {
+    const problems = [];
+    const directory = path.dirname(storyPath);
+    const prefix = `${story.id}.`;
+
+    fs.readdirSync(directory).forEach(fileName => {
+        const locale = fileName.slice(prefix.length, -'.json'.length);
+        if (!fileName.startsWith(prefix) || !fileName.endsWith('.json') || !/^[\w-]+$/.test(locale)) return;
+
+        let translation;
+        try {
+            translation = readJson(path.join(directory, fileName));
+        } catch (e) {
+            problems.push({ level: 'error', node: `${locale}:`, message: `${fileName} is not valid JSON: ${e.message}` });
+            return;
+        }
+
+        Object.keys(translation.chapters || {}).forEach(chapterId => {
+            if (!story.chapters[chapterId]) {
+                problems.push({ level: 'warning', node: `${locale}:chapter:${chapterId}`, message: 'chapter does not exist' });
+            }
+        });
+        Object.keys(translation.achievements || {}).forEach(id => {
+            if (!(story.achievements && story.achievements[id])) {
+                problems.push({ level: 'warning', node: `${locale}:achievement:${id}`, message: 'achievement does not exist' });
+            }
+        });
+        Object.entries(translation.nodes || {}).forEach(([key, text]) => {
+            const node = story.nodes[key];
+            const owner = `${locale}:${key}`;
+            if (!node) {
+                problems.push({ level: 'warning', node: owner, message: 'node does not exist' });
+                return;
+            }
+            Object.keys(text.choices || {}).forEach(label => {
+                if (!node.choices || !(label in node.choices)) {
+                    problems.push({ level: 'warning', node: owner, message: `choice "${label}" does not exist` });
+                }
+            });
+            if (text.variants && text.variants.length !== (node.variants || []).length) {
+                problems.push({ level: 'warning', node: owner, message: `${text.variants.length} variant(s) translated, the node has ${(node.variants || []).length}` });
+            }
+        });
+    });
+    return problems;
+}
+
+function main() {
+    const storyPath = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_STORY_PATH;
+
+    let story;
+    try {
+        story = readJson(storyPath);
+    } catch (e) {
+        console.error(`Could not read ${storyPath}: ${e.message}`);
+        process.exit(1);
+    }
+
+    const schemaProblems = validateStory(story, readJson(SCHEMA_PATH));
+    if (schemaProblems.length > 0) {
+        schemaProblems.forEach(problem => console.log(`error    ${problem}`));
+        console.log(`\n${schemaProblems.length} schema error(s), graph checks skipped`);
+        process.exit(1);
+    }
+
+    const problems = [...lintStory(story), ...findMissingMedia(story), ...findTranslationProblems(story, storyPath)];
+    problems.forEach(({ level, node, message }) => {
+        console.log(`${level.padEnd(8)} ${node.padEnd(20)} ${message}`);
+    });
+
+    const errorCount = problems.filter(problem => problem.level === 'error').length;
+    const warningCount = problems.length - errorCount;
+    console.log(`\n${path.relative(process.cwd(), storyPath)}: ${errorCount} error(s), ${warningCount} warning(s)`);
+    process.exit(errorCount > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// Scripted playthrough
+//
+// Usage: node tools/play-story.js [--story story.json] [--meta '{"meta.runs": 2}'] [step...]
+//
+// Drives the game engine without a browser: starts a run and takes each step
+// in order, printing every node on the way. A step is a choice label, a choice
+// number (1 is the first choice shown), or the entry for a keypad or password
+// node. The countdown never runs. Exits with 1 when a step can't be taken.
+// --meta sets what earlier runs left behind; without it the run is the first.
+
+const fs = require('fs');
+const path = require('path');
+const { validateStory } = require('../story-loader.js');
+const { StoryEngine } = require('../story-engine.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SCHEMA_PATH = path.join(ROOT_DIR, 'stories', 'story.schema.json');
+const DEFAULT_STORY_PATH = path.join(ROOT_DIR, 'stories', 'bandersnatch.json');
+const USAGE = 'Usage: node tools/play-story.js [--story story.json] [--meta \'{"meta.runs": 2}\'] [step...]';
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function printNode({ key, node, text, choices }) {
+    console.log(`\n[${key}]\n${text}`);
+    if (node.input) {
+        console.log(`  (${node.input.type}) ${node.input.prompt || 'Enter your answer'}`);
+    }
+    choices.forEach((choice, index) => console.log(`  ${index + 1}. ${choice.label}`));
+}
+
+// Returns false when the step isn't possible on the current node
+function takeStep(engine, step) {
+    if (engine.node.input) {
+        return engine.submitInput(step) !== null;
+    }
+    const numbered = /^\d+$/.test(step) && engine.choices[Number(step) - 1];
+    return engine.choose(numbered ? numbered.label : step);
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    let storyPath = DEFAULT_STORY_PATH;
+    let meta = {};
+    while (args[0] === '--story' || args[0] === '--meta') {
+        const [option, value] = args.splice(0, 2);
+        if (value === undefined) {
+            console.error(`${option} needs a value`);
+            console.error(USAGE);
+            process.exit(1);
+        }
+        if (option === '--story') {
+            storyPath = path.resolve(value);
+            continue;
+        }
+        try {
+            meta = JSON.parse(value);
+        } catch (e) {
+            console.error(`--meta is not valid JSON: ${e.message}`);
+            process.exit(1);
+        }
+    }
+
+    let story;
+    try {
+        story = readJson(storyPath);
+    } catch (e) {
+        console.error(`Could not read ${storyPath}: ${e.message}`);
+        process.exit(1);
+    }
+
+    const problems = validateStory(story, readJson(SCHEMA_PATH));
+    if (problems.length > 0) {
+        problems.forEach(problem => console.log(`error    ${problem}`));
+        process.exit(1);
+    }
+
+    const engine = new StoryEngine(story);
+    engine.on('nodeEntered', printNode);
+    engine.on('choiceMade', ({ label }) => console.log(`\n> ${label}`));
+    engine.on('inputRejected', ({ entry, attemptsLeft }) => {
+        console.log(`  "${entry}" is wrong, ${attemptsLeft} attempt(s) left`);
+    });
+    engine.on('endingReached', ({ ending, path: steps }) => {
+        console.log(`\nEnding #${ending.number}: ${ending.title} after ${steps.length} choice(s)`);
+    });
+    engine.start(false, meta);
+
+    for (const step of args) {
+        if (engine.node.ending) {
+            console.error(`\nThe run is already over, "${step}" was not taken`);
+            process.exit(1);
+        }
+        if (!takeStep(engine, step)) {
+            console.error(`\n"${step}" is not a choice on "${engine.nodeKey}"`);
+            process.exit(1);
+        }
+    }
+}
+
+if (require.main === module) {
+    main();
+}
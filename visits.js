@@ -0,0 +1,32 @@
+// Nodes and choice edges visited across every run on this device
+
+const VISITS_STORAGE_KEY = 'bandersnatch-visits';
+
+function getVisits(storyId) {
+    try {
+        const visits = JSON.parse(localStorage.getItem(getStoryStorageKey(VISITS_STORAGE_KEY, storyId))) || {};
+        return { nodes: visits.nodes || {}, edges: visits.edges || {} };
+    } catch (e) {
+        console.log("Error reading visits:", e);
+        return { nodes: {}, edges: {} };
+    }
+}
+
+function getEdgeKey(fromKey, toKey) {
+    return `${fromKey}>${toKey}`;
+}
+
+// Remembers the state of the latest visit so the flowchart can jump back to it
+function recordVisit(nodeKey, state, fromKey) {
+    const visits = getVisits();
+    visits.nodes[nodeKey] = { state: state, lastVisitedAt: new Date().toISOString() };
+    if (fromKey) {
+        visits.edges[getEdgeKey(fromKey, nodeKey)] = true;
+    }
+
+    try {
+        localStorage.setItem(getStoryStorageKey(VISITS_STORAGE_KEY), JSON.stringify(visits));
+    } catch (e) {
+        console.log("Error saving visit:", e);
+    }
+}
@@ -0,0 +1,162 @@
+// Turns a voice transcript into a story choice or a global command
+
+// Words for each locale in LOCALES (i18n.js), written without accents
+// since transcripts are compared with their accents removed
+const VOICE_VOCABULARY = {
+    en: {
+        commands: {
+            pause: ['pause', 'stop', 'pause game'],
+            resume: ['resume', 'unpause', 'resume game', 'keep going'],
+            restart: ['restart', 'start over', 'restart game'],
+            menu: ['menu', 'main menu', 'return to menu', 'go to menu'],
+            repeat: ['repeat', 'say again', 'repeat that', 'what are my options'],
+            back: ['go back', 'back', 'undo', 'rewind']
+        },
+        numbers: {
+            zero: 0, oh: 0, one: 1, two: 2, to: 2, too: 2, three: 3, four: 4, for: 4,
+            five: 5, six: 6, seven: 7, eight: 8, ate: 8, nine: 9
+        },
+        ordinals: {
+            first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+            sixth: 6, seventh: 7, eighth: 8, ninth: 9
+        },
+        // "option two", "choice 2", "number 3"
+        choiceWords: ['option', 'choice', 'number'],
+        // Ignored around an ordinal: "pick the second one"
+        filler: ['the', 'one', 'pick', 'choose', 'select']
+    },
+    es: {
+        commands: {
+            pause: ['pausa', 'pausar', 'para', 'detener'],
+            resume: ['continuar', 'reanudar', 'seguir', 'sigue'],
+            restart: ['reiniciar', 'empezar de nuevo', 'volver a empezar'],
+            menu: ['menu', 'menu principal', 'volver al menu', 'ir al menu'],
+            repeat: ['repetir', 'repite', 'otra vez', 'cuales son mis opciones'],
+            back: ['atras', 'volver', 'deshacer', 'rebobinar']
+        },
+        numbers: {
+            cero: 0, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4,
+            cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9
+        },
+        ordinals: {
+            primero: 1, primera: 1, segundo: 2, segunda: 2, tercero: 3, tercera: 3,
+            cuarto: 4, cuarta: 4, quinto: 5, quinta: 5, sexto: 6, sexta: 6,
+            septimo: 7, septima: 7, octavo: 8, octava: 8, noveno: 9, novena: 9
+        },
+        choiceWords: ['opcion', 'eleccion', 'numero'],
+        filler: ['la', 'el', 'elijo', 'elegir', 'escoger', 'quiero']
+    }
+};
+
+// How close a transcript has to be to a choice label (0-1) to count as a match
+const MIN_CHOICE_SIMILARITY = 0.6;
+
+function getVoiceVocabulary(locale) {
+    return VOICE_VOCABULARY[locale] || VOICE_VOCABULARY.en;
+}
+
+// Lowercase words without accents or punctuation
+function splitVoiceWords(text) {
+    return text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+// Lowercase, strip accents and punctuation and spell every number as separate
+// digits, so "2-0-5-4-1", "20541" and "two zero five four one" all become "2 0 5 4 1"
+function normalizeVoiceText(text, locale) {
+    const numbers = getVoiceVocabulary(locale).numbers;
+    return splitVoiceWords(text)
+        .map(word => (word in numbers ? String(numbers[word]) : word))
+        .join(' ')
+        .replace(/\d+/g, digits => digits.split('').join(' '));
+}
+
+function levenshteinDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+function textSimilarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    if (longest === 0) return 1;
+    return 1 - levenshteinDistance(a, b) / longest;
+}
+
+// "option two", "choice 2", "number 3", "the second one", "first" → index
+function matchOrdinal(rawTranscript, choiceCount, vocabulary) {
+    const words = splitVoiceWords(rawTranscript);
+    const filler = [...vocabulary.choiceWords, ...vocabulary.filler];
+    const meaningful = words.filter(word => !filler.includes(word));
+
+    let position = null;
+    if (meaningful.length === 1 && vocabulary.ordinals[meaningful[0]]) {
+        position = vocabulary.ordinals[meaningful[0]];
+    } else if (words.length === 2 && vocabulary.choiceWords.includes(words[0])) {
+        const value = words[1];
+        position = /^\d$/.test(value) ? Number(value) : vocabulary.numbers[value];
+    }
+
+    if (position >= 1 && position <= choiceCount) return position - 1;
+    return null;
+}
+
+function matchGlobalCommand(normalized, locale) {
+    const commands = getVoiceVocabulary(locale).commands;
+    return Object.keys(commands).find(command =>
+        commands[command].some(phrase => normalized === normalizeVoiceText(phrase, locale))
+    ) || null;
+}
+
+// Best fuzzy match among the current choice labels, or null
+function matchChoiceLabel(normalized, choiceLabels, locale) {
+    let best = null;
+    choiceLabels.forEach((label, index) => {
+        const normalizedLabel = normalizeVoiceText(label, locale);
+        const score = normalized === normalizedLabel ? 1 : textSimilarity(normalized, normalizedLabel);
+        if (score >= MIN_CHOICE_SIMILARITY && (!best || score > best.score)) {
+            best = { index, score };
+        }
+    });
+    return best ? best.index : null;
+}
+
+// Returns { type: 'choice', index } or { type: 'command', command } or null.
+// Choice labels win over global commands so a choice like "Stop" still works.
+// locale picks the vocabulary, English by default.
+function interpretVoiceTranscript(transcript, choiceLabels, locale) {
+    const normalized = normalizeVoiceText(transcript, locale);
+    if (!normalized) return null;
+
+    const labelIndex = matchChoiceLabel(normalized, choiceLabels, locale);
+    if (labelIndex !== null) return { type: 'choice', index: labelIndex };
+
+    const ordinalIndex = matchOrdinal(transcript, choiceLabels.length, getVoiceVocabulary(locale));
+    if (ordinalIndex !== null) return { type: 'choice', index: ordinalIndex };
+
+    const command = matchGlobalCommand(normalized, locale);
+    if (command) return { type: 'command', command };
+
+    return null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { interpretVoiceTranscript, normalizeVoiceText };
+}